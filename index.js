@@ -1,5 +1,11 @@
 /**
+ * @typedef {import('./lib/index.js').Fix} Fix
+ * @typedef {import('./lib/index.js').FixEdit} FixEdit
+ * @typedef {import('./lib/index.js').HoverData} HoverData
+ * @typedef {import('./lib/index.js').MessageControl} MessageControl
  * @typedef {import('./lib/index.js').Options} Options
+ * @typedef {import('./lib/index.js').ProcessorDefinition} ProcessorDefinition
+ * @typedef {import('./lib/index.js').RelatedInformation} RelatedInformation
  */
 
 export {createUnifiedLanguageServer} from './lib/index.js'
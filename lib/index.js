@@ -1,11 +1,17 @@
 /**
- * @import {VFileMessage} from 'vfile-message'
- * @import {Options as EngineOptions} from 'unified-engine'
+ * @import {Element} from 'hast'
+ * @import {Definition, Image, Link} from 'mdast'
+ * @import {MessagePort} from 'node:worker_threads'
+ * @import {Plugin} from 'unified'
+ * @import {ConfigResult, Context, Options as EngineOptions} from 'unified-engine'
+ * @import {Node, Parent, Point, Position as UnistPosition} from 'unist'
+ * @import {Hover, WorkspaceDocumentDiagnosticReport, WorkspaceEdit} from 'vscode-languageserver'
  */
 
 /**
  * @typedef {Pick<
  *   EngineOptions,
+ *   | 'extensions'
  *   | 'ignoreName'
  *   | 'packageField'
  *   | 'pluginPrefix'
@@ -15,7 +21,7 @@
  */
 
 /**
- * @typedef LanguageServerFields
+ * @typedef ProcessorFields
  * @property {string} processorName
  *   The package ID of the expected processor (example: `'remark'`).
  *   Will be loaded from the local workspace.
@@ -29,16 +35,129 @@
  *   This can be used to ship a processor with your package, to be used if no
  *   processor is found locally.
  *   If this isn’t passed, a warning is shown if `processorName` can’t be found.
+ * @property {Array<string>} [languageIds]
+ *   Language IDs of documents to process with this processor (example:
+ *   `['markdown']`).
+ */
+
+/**
+ * @typedef {EngineFields & ProcessorFields} ProcessorDefinition
+ *   Processor and how to configure it.
+ */
+
+/**
+ * @typedef LanguageServerFields
  * @property {string} configurationSection
  *   This option will be used to give the client a hint of which configuration
  *   section to use.
  *   For example VSCode extensions use this to pick only settings that use this
  *   as a prefix in order to prevent conflicts and reduce the amount of data
  *   sent to the language server.
+ * @property {number} [debounce=200]
+ *   Time in milliseconds to wait after a document is opened or changed before
+ *   checking it.
+ *   Changes made in the meantime restart the wait.
+ * @property {(node: Node) => string | null | undefined} [documentLinks]
+ *   Get the URL a node links to (default: the `url` of definitions, images,
+ *   and links from mdast, and the `href` of `a` and the `src` of `img` elements
+ *   from hast).
+ *   Relative URLs are resolved from the file, and URLs starting with `/` from
+ *   the workspace folder.
+ * @property {(node: Node) => string | null | undefined} [embeddedLanguage]
+ *   Get the language ID of code in a node, such as the `lang` of fenced code
+ *   in mdast, to check it with the processor in `processors` (or the options
+ *   themselves) with that language ID.
+ *   The code is the `value` of the node, and is expected to start on the line
+ *   after the node starts, indented like the node.
+ *   Off by default.
+ * @property {Record<string, SymbolKind>} [documentSymbols]
+ *   Node types to show in the outline of a document, mapped to the kind of
+ *   symbol they are (default: `{heading: SymbolKind.String}`).
+ *   Nodes with a numeric `depth` (such as headings) start a section that
+ *   includes the following nodes up to the next such node of the same or a
+ *   lower depth.
+ * @property {Record<string, MessageControl>} [messageControl]
+ *   How to turn off rules, by the `source` of messages (default: comments such
+ *   as `<!--lint disable no-html-->` and plugins such as `remark-lint-no-html`
+ *   for `remark-lint`).
+ * @property {Array<string>} [foldingRanges]
+ *   Node types that can be folded (default: `['blockquote', 'code', 'element',
+ *   'heading', 'html', 'list', 'toml', 'yaml']`).
+ *   Nodes with a numeric `depth` (such as headings) fold the section they
+ *   start.
+ * @property {number} [timeout=0]
+ *   Time in milliseconds to wait for files to be processed.
+ *   When a plugin takes longer, a fatal message is reported instead.
+ *   When `0`, there is no limit.
+ * @property {Array<ProcessorDefinition>} [processors]
+ *   More processors, for documents with one of their `languageIds`, or else
+ *   one of their `extensions`.
+ *   Other documents are processed with the processor defined by the other
+ *   options.
+ * @property {number} [workers=0]
+ *   Number of worker threads to process files in.
+ *   When `0`, files are processed on the main thread.
+ *   Each worker loads the module that started the language server
+ *   (`process.argv[1]`), which must call `createUnifiedLanguageServer` with the
+ *   same options.
+ */
+
+/**
+ * @typedef {ProcessorDefinition & LanguageServerFields} Options
+ */
+
+/**
+ * @typedef MessageControl
+ *   How to turn off the rules of a source.
+ * @property {(verb: 'disable' | 'ignore', ruleId: string) => string} comment
+ *   Create a comment that turns off a rule for the rest of the file
+ *   (`'disable'`) or for the next node (`'ignore'`).
+ * @property {(ruleId: string) => string} plugin
+ *   Get the plugin of a rule, to turn it off in configuration files.
+ */
+
+/**
+ * @typedef HoverData
+ *   Content to show when hovering over a range, added by plugins to
+ *   `file.data.hovers`.
+ * @property {UnistPosition | undefined} position
+ *   Place of the range in the file, such as the `position` of a node.
+ * @property {string} contents
+ *   Markdown to show.
+ */
+
+/**
+ * @typedef RelatedInformation
+ *   Place related to a message, added by plugins to `message.related`, such
+ *   as where something was first defined.
+ * @property {Point | UnistPosition | undefined} place
+ *   Place in the file, such as the `position` of a node.
+ * @property {string | undefined} [file]
+ *   Path to the file of the place, when it’s not the file of the message.
+ *   When relative, it is resolved from the `cwd` of the file of the message.
+ * @property {string} reason
+ *   How the place is related to the message.
  */
 
 /**
- * @typedef {EngineFields & LanguageServerFields} Options
+ * @typedef Fix
+ *   Fix of a message, added by plugins to `message.fixes`.
+ * @property {string} title
+ *   Description of the fix (example: `'Add definition'`).
+ * @property {Array<FixEdit>} edits
+ *   Edits that together fix the message.
+ */
+
+/**
+ * @typedef FixEdit
+ *   Edit that is part of a fix.
+ * @property {Point | UnistPosition} place
+ *   Place to replace, or point to insert at.
+ * @property {string} value
+ *   Text to replace the place with.
+ * @property {string | undefined} [file]
+ *   Path to the file to edit, when it’s not the file of the message.
+ *   When relative, it is resolved from the `cwd` of the file of the message.
  */
 
 /**
@@ -51,32 +170,303 @@
  * @property {'cwd' | 'dir' | undefined} [ignorePathResolveFrom]
  *   Resolve patterns in `ignorePath` from the workspace folder (`'cwd'`)
  *   or the ignore file’s folder (`'dir'`, the default).
+ * @property {boolean} [workspaceDiagnostics=false]
+ *   If true, all files in the workspace folder with one of `extensions` are
+ *   checked when the client pulls workspace diagnostics, not only the open
+ *   documents.
+ * @property {boolean} [fixOnSave=false]
+ *   If true, messages with one expected value are fixed when saving, like the
+ *   `source.fixAll` code action.
+ * @property {boolean} [formatOnSave=false]
+ *   If true, documents are formatted when saving.
+ * @property {Record<string, SeverityOverride>} [severity]
+ *   Severity of diagnostics by rule, instead of the one derived from
+ *   `message.fatal`.
+ *   Keys are `source:ruleId` (such as `remark-lint:no-html`), or only a rule
+ *   ID, where `*` matches any text.
+ *   When several keys match, the most specific rule ID wins, then the most
+ *   specific source.
+ *   Diagnostics of rules that are `'off'` are dropped.
+ */
+
+/**
+ * @typedef {'error' | 'hint' | 'information' | 'off' | 'warning'} SeverityOverride
+ *   Severity of diagnostics of a rule.
  */
 
+import fs from 'node:fs/promises'
 import path from 'node:path'
+import process from 'node:process'
 import {PassThrough} from 'node:stream'
 import {fileURLToPath, pathToFileURL} from 'node:url'
+// type-coverage:ignore-next-line
+import {Worker, parentPort, workerData} from 'node:worker_threads'
+import diff from 'fast-diff'
 import {findUp, pathExists} from 'find-up'
-import {loadPlugin} from 'load-plugin'
-import {engine} from 'unified-engine'
+import {loadPlugin, resolvePlugin} from 'load-plugin'
+import {Configuration, engine} from 'unified-engine'
 import {fromPoint, fromPosition} from 'unist-util-lsp'
 import {VFile} from 'vfile'
+import {VFileMessage} from 'vfile-message'
 import {
   createConnection,
   CodeAction,
   CodeActionKind,
   Diagnostic,
+  DiagnosticRelatedInformation,
   DiagnosticSeverity,
+  DiagnosticTag,
   DidChangeConfigurationNotification,
+  DocumentDiagnosticReportKind,
+  DocumentLink,
+  DocumentRangesFormattingRequest,
+  DocumentSymbol,
+  FoldingRange,
+  Location,
+  LSPErrorCodes,
+  MarkupKind,
+  NotebookDocuments,
   Position,
   ProposedFeatures,
   Range,
+  ResponseError,
+  SelectionRange,
+  SymbolKind,
   TextDocuments,
   TextDocumentSyncKind,
   TextEdit
 } from 'vscode-languageserver/node.js'
 import {TextDocument} from 'vscode-languageserver-textdocument'
 
+/**
+ * Turn raw settings from the client into settings.
+ *
+ * @param {Record<string, unknown>} raw
+ * @returns {Required<Pick<UnifiedLanguageServerSettings, 'fixOnSave' | 'formatOnSave' | 'requireConfig' | 'severity' | 'workspaceDiagnostics'>> & Pick<UnifiedLanguageServerSettings, 'ignorePath' | 'ignorePathResolveFrom'>}
+ */
+function parseSettings(raw) {
+  /** @type {Record<string, SeverityOverride>} */
+  const severity = {}
+
+  if (typeof raw.severity === 'object' && raw.severity) {
+    const entries = Object.entries(
+      /** @type {Record<string, unknown>} */ (raw.severity)
+    )
+
+    for (const [key, value] of entries) {
+      if (typeof value === 'string' && Object.hasOwn(severities, value)) {
+        severity[key] = /** @type {SeverityOverride} */ (value)
+      }
+    }
+  }
+
+  return {
+    requireConfig: Boolean(raw.requireConfig),
+    ignorePath: typeof raw.ignorePath === 'string' ? raw.ignorePath : undefined,
+    ignorePathResolveFrom:
+      raw.ignorePathResolveFrom === 'cwd' || raw.ignorePathResolveFrom === 'dir'
+        ? raw.ignorePathResolveFrom
+        : undefined,
+    workspaceDiagnostics: Boolean(raw.workspaceDiagnostics),
+    fixOnSave: Boolean(raw.fixOnSave),
+    formatOnSave: Boolean(raw.formatOnSave),
+    severity
+  }
+}
+
+/** @type {Record<SeverityOverride, DiagnosticSeverity | undefined>} */
+const severities = {
+  error: DiagnosticSeverity.Error,
+  hint: DiagnosticSeverity.Hint,
+  information: DiagnosticSeverity.Information,
+  off: undefined,
+  warning: DiagnosticSeverity.Warning
+}
+
+/**
+ * Check if text matches a pattern where `*` matches any text.
+ *
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesWildcard(pattern, value) {
+  const expression = pattern
+    .split('*')
+    .map((part) => part.replaceAll(/[$()+.?[\\\]^{|}]/g, '\\$&'))
+    .join('.*')
+  return new RegExp('^' + expression + '$').test(value)
+}
+
+/**
+ * @typedef SeverityOverrideRule
+ *   Override of the severity of the rules that match.
+ * @property {string} source
+ *   Pattern of the source.
+ * @property {string} ruleId
+ *   Pattern of the rule ID.
+ * @property {SeverityOverride} value
+ *   Severity to use.
+ */
+
+/**
+ * Turn the severity setting into overrides.
+ *
+ * @param {Record<string, SeverityOverride>} severity
+ *   Severity by `source:ruleId` or rule ID, where `*` matches any text.
+ * @returns {Array<SeverityOverrideRule>}
+ */
+function parseSeverityOverrides(severity) {
+  return Object.entries(severity).map(([key, value]) => {
+    const colon = key.indexOf(':')
+    return {
+      source: colon === -1 ? '*' : key.slice(0, colon),
+      ruleId: key.slice(colon + 1),
+      value
+    }
+  })
+}
+
+/**
+ * Find the most specific override of a rule.
+ *
+ * @param {Array<SeverityOverrideRule>} overrides
+ * @param {string | null | undefined} source
+ * @param {number | string | null | undefined} ruleId
+ * @returns {SeverityOverride | undefined}
+ */
+function findSeverityOverride(overrides, source, ruleId) {
+  /** @type {SeverityOverrideRule | undefined} */
+  let best
+
+  for (const override of overrides) {
+    if (
+      matchesWildcard(override.source, source || '') &&
+      matchesWildcard(override.ruleId, ruleId ? String(ruleId) : '') &&
+      (!best || compareSpecificity(override, best) >= 0)
+    ) {
+      best = override
+    }
+  }
+
+  return best ? best.value : undefined
+}
+
+/**
+ * Override the severity of diagnostics by rule.
+ *
+ * @param {Diagnostic[]} diagnostics
+ * @param {Record<string, SeverityOverride> | undefined} severity
+ *   Severity by `source:ruleId` or rule ID, where `*` matches any text.
+ * @returns {Diagnostic[]}
+ *   Diagnostics, without those of rules that are `'off'`.
+ */
+function overrideSeverity(diagnostics, severity) {
+  if (!severity) {
+    return diagnostics
+  }
+
+  const overrides = parseSeverityOverrides(severity)
+  /** @type {Diagnostic[]} */
+  const results = []
+
+  for (const diagnostic of diagnostics) {
+    const value = findSeverityOverride(
+      overrides,
+      diagnostic.source,
+      diagnostic.code
+    )
+
+    if (!value) {
+      results.push(diagnostic)
+    } else if (value !== 'off') {
+      results.push({...diagnostic, severity: severities[value]})
+    }
+  }
+
+  return results
+}
+
+/**
+ * Remove the messages of rules that are turned off.
+ *
+ * @param {Array<VFileMessage>} messages
+ * @param {Record<string, SeverityOverride> | undefined} severity
+ *   Severity by `source:ruleId` or rule ID, where `*` matches any text.
+ * @returns {Array<VFileMessage>}
+ */
+function removeOffMessages(messages, severity) {
+  if (!severity) {
+    return messages
+  }
+
+  const overrides = parseSeverityOverrides(severity)
+
+  return messages.filter(
+    (message) =>
+      findSeverityOverride(overrides, message.source, message.ruleId) !== 'off'
+  )
+}
+
+/**
+ * Compare how specific two overrides are: by rule ID, then by source.
+ *
+ * @param {SeverityOverrideRule} a
+ * @param {SeverityOverrideRule} b
+ * @returns {number}
+ *   Positive if `a` is more specific, negative if `b` is, `0` if they’re
+ *   equally specific.
+ */
+function compareSpecificity(a, b) {
+  return (
+    a.ruleId.replaceAll('*', '').length - b.ruleId.replaceAll('*', '').length ||
+    a.source.replaceAll('*', '').length - b.source.replaceAll('*', '').length
+  )
+}
+
+/**
+ * Maximum number of times to check a document again when fixing everything,
+ * in case fixes keep introducing new problems.
+ */
+const maxFixAllPasses = 10
+
+/**
+ * Types of nodes that contain blocks, where a comment can be added between
+ * children without changing the structure of the document.
+ */
+const flowParentTypes = new Set([
+  'blockquote',
+  'footnoteDefinition',
+  'listItem',
+  'root'
+])
+
+/** @type {Record<string, MessageControl>} */
+const defaultMessageControl = {
+  'remark-lint': {
+    comment(verb, ruleId) {
+      return '<!--lint ' + verb + ' ' + ruleId + '-->'
+    },
+    plugin(ruleId) {
+      return 'remark-lint-' + ruleId
+    }
+  }
+}
+
+/**
+ * Convert a place in a vfile to a language server protocol range.
+ *
+ * @param {Point | UnistPosition | undefined} place
+ * @returns {Range}
+ */
+function placeToRange(place) {
+  return place
+    ? 'start' in place
+      ? fromPosition(place)
+      : {start: fromPoint(place), end: fromPoint(place)}
+    : Range.create(0, 0, 0, 0)
+}
+
 /**
  * Convert a vfile message to a language server protocol diagnostic.
  *
@@ -85,11 +475,7 @@ import {TextDocument} from 'vscode-languageserver-textdocument'
  */
 function vfileMessageToDiagnostic(message) {
   const diagnostic = Diagnostic.create(
-    message.place
-      ? 'start' in message.place
-        ? fromPosition(message.place)
-        : {start: fromPoint(message.place), end: fromPoint(message.place)}
-      : Range.create(0, 0, 0, 0),
+    placeToRange(message.place),
     message.reason,
     message.fatal === true
       ? DiagnosticSeverity.Error
@@ -103,42 +489,2132 @@ function vfileMessageToDiagnostic(message) {
     diagnostic.codeDescription = {href: message.url}
   }
 
-  if (message.expected) {
-    // type-coverage:ignore-next-line
-    diagnostic.data = {
-      expected: message.expected
+  if (message.expected) {
+    // type-coverage:ignore-next-line
+    diagnostic.data = {
+      expected: message.expected
+    }
+  }
+
+  const fixes = vfileMessageToFixes(message)
+
+  // Only titles are sent, the edits are resolved when a fix is picked.
+  if (fixes.length > 0) {
+    // type-coverage:ignore-next-line
+    diagnostic.data = {
+      // type-coverage:ignore-next-line
+      ...diagnostic.data,
+      fixes: fixes.map((fix) => fix.title)
+    }
+  }
+
+  if (
+    typeof message.cause === 'object' &&
+    message.cause &&
+    'stack' in message.cause
+  ) {
+    diagnostic.message += '\n' + message.cause.stack
+  }
+
+  if (message.note) {
+    diagnostic.message += '\n' + message.note
+  }
+
+  return diagnostic
+}
+
+/**
+ * Get the fixes that plugins added to a vfile message.
+ *
+ * @param {VFileMessage} message
+ * @returns {Fix[]}
+ */
+function vfileMessageToFixes(message) {
+  const {fixes} = /** @type {{fixes?: unknown}} */ (message)
+  return Array.isArray(fixes) ? /** @type {Fix[]} */ (fixes) : []
+}
+
+/**
+ * Convert a fix of a message to a language server protocol workspace edit.
+ *
+ * @param {Fix} fix
+ * @param {VFile} file
+ *   File of the message.
+ * @param {string} uri
+ *   URI of the document of the file.
+ * @returns {WorkspaceEdit}
+ */
+function fixToWorkspaceEdit(fix, file, uri) {
+  /** @type {Record<string, TextEdit[]>} */
+  const changes = {}
+
+  for (const edit of fix.edits) {
+    const editUri = edit.file
+      ? pathToFileURL(path.resolve(file.cwd, edit.file)).href
+      : uri
+
+    if (!Object.hasOwn(changes, editUri)) {
+      changes[editUri] = []
+    }
+
+    changes[editUri].push(
+      TextEdit.replace(placeToRange(edit.place), edit.value)
+    )
+  }
+
+  return {changes}
+}
+
+/**
+ * Convert the messages of a vfile to language server protocol diagnostics,
+ * with the related information and tags that plugins added to messages.
+ *
+ * @param {VFile} file
+ * @param {boolean} relatedInformation
+ *   Whether the client supports related information.
+ * @param {DiagnosticTag[]} tags
+ *   Tags the client supports.
+ * @returns {Diagnostic[]}
+ */
+function vfileToDiagnostics(file, relatedInformation, tags) {
+  const fileUri =
+    typeof file.data.lspDocumentUri === 'string'
+      ? file.data.lspDocumentUri
+      : pathToFileURL(path.resolve(file.cwd, file.path)).href
+
+  return file.messages.map((message) => {
+    const diagnostic = vfileMessageToDiagnostic(message)
+    const fields =
+      /** @type {{deprecated?: unknown, related?: unknown, unnecessary?: unknown}} */ (
+        message
+      )
+
+    if (relatedInformation && Array.isArray(fields.related)) {
+      diagnostic.relatedInformation = fields.related.map(
+        /**
+         * @param {RelatedInformation} related
+         * @returns {DiagnosticRelatedInformation}
+         */
+        (related) =>
+          DiagnosticRelatedInformation.create(
+            Location.create(
+              related.file
+                ? pathToFileURL(path.resolve(file.cwd, related.file)).href
+                : fileUri,
+              placeToRange(related.place)
+            ),
+            related.reason
+          )
+      )
+    }
+
+    const messageTags = tags.filter(
+      (tag) =>
+        (tag === DiagnosticTag.Deprecated && fields.deprecated === true) ||
+        (tag === DiagnosticTag.Unnecessary && fields.unnecessary === true)
+    )
+
+    if (messageTags.length > 0) {
+      diagnostic.tags = messageTags
+    }
+
+    return diagnostic
+  })
+}
+
+/**
+ * Create the smallest edits that turn the text of a document into other text,
+ * so that the cursor, folds, and such are kept where possible.
+ *
+ * @param {TextDocument} document
+ * @param {string} text
+ * @returns {TextEdit[]}
+ */
+function createTextEdits(document, text) {
+  /** @type {Array<{start: number, end: number, newText: string}>} */
+  const changes = []
+  /** @type {{start: number, end: number, newText: string} | undefined} */
+  let previous
+  let offset = 0
+
+  for (const [operation, value] of diff(document.getText(), text)) {
+    if (operation === diff.EQUAL) {
+      previous = undefined
+      offset += value.length
+      continue
+    }
+
+    // Deletions and insertions next to each other are one replacement.
+    if (!previous) {
+      previous = {start: offset, end: offset, newText: ''}
+      changes.push(previous)
+    }
+
+    if (operation === diff.DELETE) {
+      offset += value.length
+      previous.end = offset
+    } else {
+      previous.newText += value
+    }
+  }
+
+  return changes.map((change) =>
+    TextEdit.replace(
+      Range.create(
+        document.positionAt(change.start),
+        document.positionAt(change.end)
+      ),
+      change.newText
+    )
+  )
+}
+
+/**
+ * Convert language server protocol text document to a vfile.
+ *
+ * @param {TextDocument} document
+ * @param {string} cwd
+ * @param {string} [uri]
+ *   URI of the file of the document, such as the notebook of a cell.
+ * @returns {VFile}
+ */
+function lspDocumentToVfile(document, cwd, uri = document.uri) {
+  const url = new URL(uri)
+
+  return new VFile({
+    cwd,
+    // Documents that are not files, such as untitled ones, get a path in
+    // `cwd`, which is never read.
+    path:
+      url.protocol === 'file:'
+        ? url
+        : path.join(cwd, path.posix.basename(url.pathname)),
+    value: document.getText(),
+    data: {lspDocumentUri: document.uri}
+  })
+}
+
+/**
+ * Get the line after frontmatter at the start of a document, where comments
+ * can be added.
+ *
+ * @param {TextDocument} document
+ * @returns {number}
+ */
+function lineAfterFrontmatter(document) {
+  const lines = document.getText().split(/\r?\n/)
+  const fence = lines[0]
+
+  if (fence === '---' || fence === '+++') {
+    const end = lines.indexOf(fence, 1)
+
+    if (end !== -1) {
+      return end + 1
+    }
+  }
+
+  return 0
+}
+
+/**
+ * Check if a kind of code action is requested by a client.
+ *
+ * @param {CodeActionKind} kind
+ * @param {Array<CodeActionKind> | undefined} only
+ *   Kinds requested by the client; all kinds are requested if not given.
+ * @returns {boolean}
+ */
+function isCodeActionKindRequested(kind, only) {
+  return (
+    !only ||
+    only.some(
+      (requested) => kind === requested || kind.startsWith(requested + '.')
+    )
+  )
+}
+
+/**
+ * Apply the fixes of messages with one expected value to a document.
+ *
+ * Fixes that overlap with an earlier fix are skipped, so that they can be
+ * applied when the document is checked again.
+ *
+ * @param {TextDocument} document
+ * @param {Array<VFileMessage>} messages
+ * @returns {string | undefined}
+ *   New text, or `undefined` if there was nothing to fix.
+ */
+function applyExpectedFixes(document, messages) {
+  /** @type {Array<{edit: TextEdit, start: number, end: number}>} */
+  const fixes = []
+
+  for (const message of messages) {
+    if (
+      message.expected &&
+      message.expected.length === 1 &&
+      typeof message.expected[0] === 'string'
+    ) {
+      const {range} = vfileMessageToDiagnostic(message)
+      fixes.push({
+        edit: TextEdit.replace(range, message.expected[0]),
+        start: document.offsetAt(range.start),
+        end: document.offsetAt(range.end)
+      })
+    }
+  }
+
+  fixes.sort((a, b) => a.start - b.start || a.end - b.end)
+
+  /** @type {Array<TextEdit>} */
+  const edits = []
+  let start = -1
+  let end = -1
+
+  for (const fix of fixes) {
+    // Skip overlapping fixes, and insertions at the same place as an earlier
+    // insertion, as their order is ambiguous.
+    if (
+      fix.start < end ||
+      (fix.start === end && start === end && fix.end === fix.start)
+    ) {
+      continue
+    }
+
+    edits.push(fix.edit)
+    start = fix.start
+    end = fix.end
+  }
+
+  if (edits.length > 0) {
+    return TextDocument.applyEdits(document, edits)
+  }
+}
+
+/**
+ * Turn off a plugin in the text of a JSON configuration file.
+ *
+ * @param {string} text
+ * @param {string | undefined} field
+ *   Field at which the configuration is, for `package.json` files.
+ * @param {string} plugin
+ * @returns {string | undefined}
+ *   New text, or `undefined` if the configuration can’t be changed.
+ */
+function disablePluginInConfig(text, field, plugin) {
+  /** @type {unknown} */
+  let data
+
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return
+  }
+
+  const config = field && isRecord(data) ? data[field] : data
+
+  // Configuration that is not an object can’t be changed.
+  if (!isRecord(config)) {
+    return
+  }
+
+  const {plugins} = config
+
+  if (Array.isArray(plugins)) {
+    plugins.push([plugin, false])
+  } else if (typeof plugins === 'object' && plugins) {
+    ;/** @type {Record<string, unknown>} */ (plugins)[plugin] = false
+  } else {
+    config.plugins = [[plugin, false]]
+  }
+
+  const indent = /^([ \t]+)"/m.exec(text)
+  return JSON.stringify(data, undefined, indent ? indent[1] : 2) + '\n'
+}
+
+/**
+ * Load the readme of a package, resolved from a folder like plugins are.
+ *
+ * @param {string} name
+ *   Name of the package.
+ * @param {string} cwd
+ *   Folder to resolve from.
+ * @returns {Promise<string | undefined>}
+ *   Readme, or `undefined` if the package or its readme can’t be found.
+ */
+async function loadPackageReadme(name, cwd) {
+  /** @type {string} */
+  let main
+
+  try {
+    main = await resolvePlugin(name, {from: pathToFileURL(cwd + '/')})
+  } catch {
+    return
+  }
+
+  // The main file of a package can be in a folder in it.
+  const packagePath = await findUp('package.json', {
+    cwd: path.dirname(fileURLToPath(main))
+  })
+  const readmePath =
+    packagePath &&
+    (await findUp(['readme.md', 'README.md'], {
+      cwd: path.dirname(packagePath),
+      stopAt: path.dirname(packagePath)
+    }))
+
+  return readmePath ? fs.readFile(readmePath, 'utf8') : undefined
+}
+
+/**
+ * Check if a value is a plain object, such as parsed JSON.
+ *
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isRecord(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Check if a node is a parent.
+ *
+ * @param {Node} node
+ * @returns {node is Parent}
+ */
+function isParent(node) {
+  return 'children' in node && Array.isArray(node.children)
+}
+
+/**
+ * Get the text content of a node.
+ *
+ * @param {Node} node
+ * @returns {string}
+ */
+function nodeToString(node) {
+  if ('value' in node && typeof node.value === 'string') {
+    return node.value
+  }
+
+  return isParent(node)
+    ? node.children.map((child) => nodeToString(child)).join('')
+    : ''
+}
+
+/**
+ * Turn a tree into document symbols.
+ *
+ * @param {Node} tree
+ * @param {Record<string, SymbolKind>} kinds
+ *   Node types to turn into symbols, mapped to their kind.
+ * @returns {DocumentSymbol[]}
+ */
+function treeToDocumentSymbols(tree, kinds) {
+  /** @type {DocumentSymbol[]} */
+  const symbols = []
+  add(tree, symbols)
+  return symbols
+
+  /**
+   * @param {Node} parent
+   * @param {DocumentSymbol[]} siblings
+   *   Where to add symbols for the children of `parent`.
+   */
+  function add(parent, siblings) {
+    if (!isParent(parent)) {
+      return
+    }
+
+    /** @type {Array<{children: DocumentSymbol[], depth: number, symbol: DocumentSymbol}>} */
+    const sections = []
+
+    for (const node of parent.children) {
+      // Generated nodes are not in the document.
+      if (!node.position) {
+        continue
+      }
+
+      const kind = Object.hasOwn(kinds, node.type)
+        ? kinds[node.type]
+        : undefined
+      const depth =
+        kind !== undefined && 'depth' in node && typeof node.depth === 'number'
+          ? node.depth
+          : undefined
+      const range = fromPosition(node.position)
+      let section = sections.at(-1)
+
+      // Close sections of the same or a deeper level.
+      if (depth !== undefined) {
+        while (section && section.depth >= depth) {
+          sections.pop()
+          section = sections.at(-1)
+        }
+      }
+
+      for (const open of sections) {
+        open.symbol.range.end = range.end
+      }
+
+      const container = section ? section.children : siblings
+
+      if (kind === undefined) {
+        add(node, container)
+        continue
+      }
+
+      /** @type {DocumentSymbol[]} */
+      const children = []
+      const name = nodeToString(node).replaceAll(/\s+/g, ' ').trim()
+      const symbol = DocumentSymbol.create(
+        name || node.type,
+        undefined,
+        kind,
+        range,
+        fromPosition(node.position),
+        children
+      )
+      container.push(symbol)
+      add(node, children)
+
+      if (depth !== undefined) {
+        sections.push({children, depth, symbol})
+      }
+    }
+  }
+}
+
+/**
+ * Turn a tree into folding ranges.
+ *
+ * @param {Node} tree
+ * @param {Array<string>} types
+ *   Node types that can be folded.
+ * @returns {FoldingRange[]}
+ */
+function treeToFoldingRanges(tree, types) {
+  /** @type {FoldingRange[]} */
+  const ranges = []
+  add(tree)
+  return ranges.filter((range) => range.endLine > range.startLine)
+
+  /**
+   * @param {Node} parent
+   */
+  function add(parent) {
+    if (!isParent(parent)) {
+      return
+    }
+
+    /** @type {Array<{depth: number, range: FoldingRange}>} */
+    const sections = []
+
+    for (const node of parent.children) {
+      // Generated nodes are not in the document.
+      if (!node.position) {
+        continue
+      }
+
+      const fold = types.includes(node.type)
+      const depth =
+        fold && 'depth' in node && typeof node.depth === 'number'
+          ? node.depth
+          : undefined
+      const {start, end} = fromPosition(node.position)
+      let section = sections.at(-1)
+
+      // Close sections of the same or a deeper level.
+      if (depth !== undefined) {
+        while (section && section.depth >= depth) {
+          sections.pop()
+          section = sections.at(-1)
+        }
+      }
+
+      for (const open of sections) {
+        open.range.endLine = end.line
+      }
+
+      if (fold) {
+        const range = FoldingRange.create(start.line, end.line)
+        ranges.push(range)
+
+        if (depth !== undefined) {
+          sections.push({depth, range})
+        }
+      }
+
+      add(node)
+    }
+  }
+}
+
+/**
+ * Get the URL of a definition, image, or link from mdast, or of an `a` or
+ * `img` element from hast.
+ *
+ * @param {Node} node
+ * @returns {string | undefined}
+ */
+function defaultDocumentLinks(node) {
+  /** @type {unknown} */
+  let url
+
+  if (
+    node.type === 'definition' ||
+    node.type === 'image' ||
+    node.type === 'link'
+  ) {
+    url = /** @type {Definition | Image | Link} */ (node).url
+  } else if (node.type === 'element') {
+    const element = /** @type {Element} */ (node)
+    url =
+      element.tagName === 'a'
+        ? element.properties.href
+        : element.tagName === 'img'
+          ? element.properties.src
+          : undefined
+  }
+
+  return typeof url === 'string' ? url : undefined
+}
+
+/**
+ * Turn a tree into document links.
+ *
+ * @param {Node} tree
+ * @param {VFile} file
+ * @param {(node: Node) => string | null | undefined} getUrl
+ *   Get the URL a node links to.
+ * @returns {DocumentLink[]}
+ */
+function treeToDocumentLinks(tree, file, getUrl) {
+  /** @type {DocumentLink[]} */
+  const links = []
+  const fileUrl = pathToFileURL(path.resolve(file.cwd, file.path))
+  const cwdUrl = pathToFileURL(file.cwd + path.sep)
+  visit(tree)
+  return links
+
+  /**
+   * @param {Node} node
+   */
+  function visit(node) {
+    // Generated nodes are not in the document.
+    const url = node.position ? getUrl(node) : undefined
+
+    // Links to the file itself are not useful.
+    if (node.position && url && !url.startsWith('#')) {
+      /** @type {URL | undefined} */
+      let target
+
+      try {
+        target =
+          url.startsWith('/') && !url.startsWith('//')
+            ? new URL('.' + url, cwdUrl)
+            : new URL(url, fileUrl)
+      } catch {
+        // Invalid URLs can’t be followed.
+      }
+
+      if (target) {
+        links.push(
+          DocumentLink.create(fromPosition(node.position), target.href)
+        )
+      }
+    }
+
+    if (isParent(node)) {
+      for (const child of node.children) {
+        visit(child)
+      }
+    }
+  }
+}
+
+/**
+ * Compare two positions.
+ *
+ * @param {Position} a
+ * @param {Position} b
+ * @returns {number}
+ *   Negative if `a` is before `b`, positive if it’s after, `0` if they’re
+ *   equal.
+ */
+function comparePositions(a, b) {
+  return a.line - b.line || a.character - b.character
+}
+
+/**
+ * @typedef DiagnosticData
+ *   Data of a diagnostic, to create code actions from.
+ * @property {Array<unknown> | undefined} [expected]
+ *   Expected values of the message.
+ * @property {Array<unknown> | undefined} [fixes]
+ *   Titles of the fixes of the message.
+ */
+
+/**
+ * @typedef FixData
+ *   Data of a code action of a fix, to find the fix when resolving it.
+ * @property {string} uri
+ *   URI of the document.
+ * @property {number} version
+ *   Version of the document.
+ * @property {Diagnostic} diagnostic
+ *   Diagnostic of the message.
+ * @property {number} index
+ *   Index of the fix in the fixes of the message.
+ */
+
+/**
+ * Create code actions for the fixes of a diagnostic.
+ *
+ * Their edits are added when the client resolves them, as that needs the
+ * document to be processed again.
+ *
+ * @param {TextDocument} document
+ * @param {Diagnostic} diagnostic
+ * @param {Array<unknown>} titles
+ *   Titles of the fixes.
+ * @returns {CodeAction[]}
+ */
+function createFixCodeActions(document, diagnostic, titles) {
+  return preferOnlyCodeAction(
+    titles.map((title, index) => {
+      const codeAction = CodeAction.create(
+        String(title),
+        CodeActionKind.QuickFix
+      )
+      /** @type {FixData} */
+      const data = {
+        uri: document.uri,
+        version: document.version,
+        diagnostic,
+        index
+      }
+
+      // type-coverage:ignore-next-line
+      codeAction.data = data
+
+      return codeAction
+    })
+  )
+}
+
+/**
+ * Create code actions with edits for the fixes of a diagnostic, for clients
+ * that can’t resolve code actions.
+ *
+ * @param {VFile | undefined} file
+ *   File of the document, processed again.
+ * @param {string} uri
+ *   URI of the document.
+ * @param {Diagnostic} diagnostic
+ * @returns {CodeAction[]}
+ */
+function createResolvedFixCodeActions(file, uri, diagnostic) {
+  const message =
+    file &&
+    file.messages.find((message) =>
+      isSameDiagnostic(vfileMessageToDiagnostic(message), diagnostic)
+    )
+
+  // The message is no longer there if the document is ignored now.
+  if (!file || !message) {
+    return []
+  }
+
+  return preferOnlyCodeAction(
+    vfileMessageToFixes(message).map((fix) =>
+      CodeAction.create(
+        fix.title,
+        fixToWorkspaceEdit(fix, file, uri),
+        CodeActionKind.QuickFix
+      )
+    )
+  )
+}
+
+/**
+ * Prefer the code action of a diagnostic if it’s the only one.
+ *
+ * @param {CodeAction[]} codeActions
+ * @returns {CodeAction[]}
+ */
+function preferOnlyCodeAction(codeActions) {
+  if (codeActions.length === 1) {
+    codeActions[0].isPreferred = true
+  }
+
+  return codeActions
+}
+
+/**
+ * Get the data that this language server added to a diagnostic.
+ *
+ * @param {Diagnostic} diagnostic
+ * @returns {DiagnosticData | undefined}
+ */
+function diagnosticToData(diagnostic) {
+  // type-coverage:ignore-next-line
+  const data = /** @type {DiagnosticData | undefined} */ (diagnostic.data)
+  return typeof data === 'object' && data ? data : undefined
+}
+
+/**
+ * Check if two diagnostics are about the same message.
+ *
+ * @param {Diagnostic} a
+ * @param {Diagnostic} b
+ * @returns {boolean}
+ */
+function isSameDiagnostic(a, b) {
+  return (
+    a.message === b.message &&
+    a.code === b.code &&
+    a.source === b.source &&
+    comparePositions(a.range.start, b.range.start) === 0 &&
+    comparePositions(a.range.end, b.range.end) === 0
+  )
+}
+
+/**
+ * Check if a range contains a position.
+ *
+ * @param {Range} range
+ * @param {Position} position
+ * @returns {boolean}
+ */
+function rangeContains(range, position) {
+  return (
+    comparePositions(range.start, position) <= 0 &&
+    comparePositions(position, range.end) <= 0
+  )
+}
+
+/**
+ * Get the first paragraph of a readme.
+ *
+ * Reference links are replaced by their text, as their definitions are not
+ * included.
+ *
+ * @param {string} readme
+ * @returns {string}
+ *   First paragraph, or an empty string if there is none.
+ */
+function readmeToExcerpt(readme) {
+  const paragraph = readme
+    .split(/\r?\n(?:[ \t]*\r?\n)+/)
+    // Skip headings, HTML, badges, lists, and such.
+    .find(
+      (block) => !/^(?:[#<>|`]|!?\[!?\[|[*+-] |\d+[.)] |\[[^\]]+]:)/.test(block)
+    )
+
+  return (paragraph || '')
+    .replaceAll(/\[([^\]]*)]\[[^\]]*]/g, '$1')
+    .replaceAll(/\s*\n\s*/g, ' ')
+    .trim()
+}
+
+/**
+ * Turn a message into markdown to show when hovering over it.
+ *
+ * @param {VFileMessage} message
+ * @param {string | undefined} excerpt
+ *   Excerpt of the documentation of the rule of the message.
+ * @returns {string}
+ */
+function messageToMarkdown(message, excerpt) {
+  /** @type {Array<string>} */
+  const parts = []
+  const id = [message.source, message.ruleId].filter(Boolean).join(':')
+
+  if (message.reason) {
+    parts.push(message.reason)
+  }
+
+  if (id) {
+    parts.push('`' + id + '`')
+  }
+
+  if (message.note) {
+    parts.push(message.note)
+  }
+
+  if (Array.isArray(message.expected) && message.expected.length > 0) {
+    parts.push(
+      'Expected: ' +
+        message.expected
+          .map((value) => (value ? '`' + value + '`' : 'nothing'))
+          .join(' or ')
+    )
+  }
+
+  if (excerpt) {
+    parts.push(excerpt)
+  }
+
+  if (message.url) {
+    parts.push('[Documentation](' + message.url + ')')
+  }
+
+  return parts.join('\n\n')
+}
+
+/**
+ * Turn the messages in a file and the hovers that plugins added to it at a
+ * position into a hover.
+ *
+ * @param {VFile} file
+ * @param {Position} position
+ * @param {(message: VFileMessage) => Promise<string | undefined>} loadExcerpt
+ *   Get an excerpt of the documentation of the rule of a message.
+ * @param {Record<string, SeverityOverride> | undefined} severity
+ *   Severity by `source:ruleId` or rule ID, messages of rules that are `'off'`
+ *   are not shown.
+ * @returns {Promise<Hover | undefined>}
+ */
+async function fileToHover(file, position, loadExcerpt, severity) {
+  const hovers = /** @type {Array<HoverData> | undefined} */ (file.data.hovers)
+  /** @type {Array<string>} */
+  const contents = []
+  /** @type {Range | undefined} */
+  let range
+  const messages = removeOffMessages(file.messages, severity).filter(
+    (message) =>
+      rangeContains(vfileMessageToDiagnostic(message).range, position)
+  )
+  const excerpts = await Promise.all(
+    messages.map((message) => loadExcerpt(message))
+  )
+
+  for (const [index, message] of messages.entries()) {
+    const markdown = messageToMarkdown(message, excerpts[index])
+
+    // Messages without anything to show are skipped.
+    if (markdown) {
+      contents.push(markdown)
+      range ||= vfileMessageToDiagnostic(message).range
+    }
+  }
+
+  for (const hover of hovers || []) {
+    // Hovers on generated nodes are not in the document.
+    if (!hover.position) {
+      continue
+    }
+
+    const hoverRange = fromPosition(hover.position)
+
+    if (rangeContains(hoverRange, position)) {
+      contents.push(hover.contents)
+      range ||= hoverRange
+    }
+  }
+
+  if (contents.length > 0) {
+    return {
+      contents: {
+        kind: MarkupKind.Markdown,
+        value: contents.join('\n\n---\n\n')
+      },
+      range
+    }
+  }
+}
+
+/**
+ * Find the node that contains a position.
+ *
+ * @param {Array<Node>} nodes
+ * @param {Position} position
+ * @returns {{node: Node, range: Range} | undefined}
+ */
+function findNodeAt(nodes, position) {
+  for (const node of nodes) {
+    // Generated nodes are not in the document.
+    if (!node.position) {
+      continue
+    }
+
+    const range = fromPosition(node.position)
+
+    if (rangeContains(range, position)) {
+      return {node, range}
+    }
+  }
+}
+
+/**
+ * Turn the nodes in a tree that contain a position into a selection range,
+ * from the innermost node up to the root.
+ *
+ * @param {Node} tree
+ * @param {Position} position
+ * @returns {SelectionRange}
+ */
+function treeToSelectionRange(tree, position) {
+  /** @type {SelectionRange | undefined} */
+  let selectionRange
+  let found = findNodeAt([tree], position)
+
+  while (found) {
+    const {node, range} = found
+
+    // Nodes that span the same range as their parent can’t be selected
+    // separately.
+    if (
+      !selectionRange ||
+      comparePositions(range.start, selectionRange.range.start) !== 0 ||
+      comparePositions(range.end, selectionRange.range.end) !== 0
+    ) {
+      selectionRange = SelectionRange.create(range, selectionRange)
+    }
+
+    found = isParent(node) ? findNodeAt(node.children, position) : undefined
+  }
+
+  return (
+    selectionRange || SelectionRange.create(Range.create(position, position))
+  )
+}
+
+/**
+ * Find where to add a comment that ignores messages at a position: before the
+ * innermost block that contains the position and starts its line.
+ *
+ * Blocks in lists, such as list items, and inline nodes are skipped, as a
+ * comment before them would split the list or end up in the text.
+ *
+ * @param {Node} tree
+ * @param {TextDocument} document
+ * @param {Position} position
+ * @returns {{line: number, indent: string} | undefined}
+ *   Line to add the comment before and its indent, or `undefined` if there
+ *   is no such block.
+ */
+function treeToIgnorePlace(tree, document, position) {
+  /** @type {{line: number, indent: string} | undefined} */
+  let result
+  /** @type {Node | undefined} */
+  let parent
+  let found = findNodeAt([tree], position)
+
+  while (found) {
+    const {node, range} = found
+    const {character, line} = range.start
+    const indent = document.getText(Range.create(line, 0, line, character))
+
+    if (parent && flowParentTypes.has(parent.type) && /^[ \t]*$/.test(indent)) {
+      result = {line, indent}
+    }
+
+    parent = node
+    found = isParent(node) ? findNodeAt(node.children, position) : undefined
+  }
+
+  return result
+}
+
+/**
+ * @typedef FormattedRange
+ *   Formatted text of a range in a document.
+ * @property {Range} range
+ *   Range.
+ * @property {string} value
+ *   Text to replace the range with.
+ */
+
+/**
+ * Get the runs of top-level nodes in a tree that intersect with ranges, to
+ * format them.
+ *
+ * @param {Parent} tree
+ * @param {Array<Range>} ranges
+ * @returns {Array<{children: Array<Node>, range: Range}>}
+ */
+function treeToFormattingRuns(tree, ranges) {
+  /** @type {Array<{children: Array<Node>, range: Range}>} */
+  const result = []
+  /** @type {{children: Array<Node>, range: Range} | undefined} */
+  let run
+
+  for (const node of tree.children) {
+    const nodeRange = node.position ? fromPosition(node.position) : undefined
+    const selected =
+      nodeRange !== undefined &&
+      ranges.some((range) =>
+        // An empty range, such as a cursor, selects the node it is in.
+        comparePositions(range.start, range.end) === 0
+          ? rangeContains(nodeRange, range.start)
+          : comparePositions(nodeRange.start, range.end) < 0 &&
+            comparePositions(range.start, nodeRange.end) < 0
+      )
+
+    if (!nodeRange || !selected) {
+      run = undefined
+    } else if (run) {
+      run.children.push(node)
+      run.range.end = nodeRange.end
+    } else {
+      run = {
+        children: [node],
+        range: Range.create(nodeRange.start, nodeRange.end)
+      }
+      result.push(run)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Plugin to only stringify the runs of top-level nodes that intersect with
+ * ranges.
+ *
+ * Each run is stringified on its own, from the tree of the whole document, and
+ * kept with its range at `file.data.lspFormatted`.
+ * The document itself is not changed.
+ *
+ * @type {Plugin<[Array<Range>]>}
+ */
+function stringifyRanges(ranges) {
+  const compiler = this.compiler
+
+  /* c8 ignore next 3 -- processors without compiler can’t format anyway. */
+  if (!compiler) {
+    return
+  }
+
+  /**
+   * @param {Node} tree
+   * @param {VFile} file
+   */
+  this.compiler = function (tree, file) {
+    /** @type {Array<FormattedRange> | false} */
+    const formatted =
+      isParent(tree) &&
+      treeToFormattingRuns(tree, ranges).map((run) => ({
+        range: run.range,
+        // Stringified documents end in a line ending, nodes don’t.
+        value: String(
+          compiler(
+            /** @type {Parent} */ ({...tree, children: run.children}),
+            file
+          )
+        ).replace(/\r?\n$/, '')
+      }))
+
+    file.data.lspFormatted = formatted
+    return String(file)
+  }
+}
+
+/**
+ * Plugin to only parse files.
+ *
+ * The tree is kept at `file.data.lspTree`, and the file is marked as done, so
+ * that `unified-engine` does not transform or stringify it.
+ *
+ * @type {Plugin<[]>}
+ */
+function parseOnly() {
+  const parser = this.parser
+
+  /* c8 ignore next 3 -- processors without parser can’t parse anyway. */
+  if (!parser) {
+    return
+  }
+
+  /**
+   * @param {string} document
+   * @param {VFile} file
+   */
+  this.parser = function (document, file) {
+    const tree = parser(document, file)
+    file.data.lspTree = tree
+    file.data.unifiedEngineIgnored = true
+    return tree
+  }
+}
+
+/**
+ * Plugin to keep the tree of files at `file.data.lspTree`.
+ *
+ * @type {Plugin<[]>}
+ */
+function keepTree() {
+  const parser = this.parser
+
+  /* c8 ignore next 3 -- processors without parser can’t parse anyway. */
+  if (!parser) {
+    return
+  }
+
+  /**
+   * @param {string} document
+   * @param {VFile} file
+   */
+  this.parser = function (document, file) {
+    const tree = parser(document, file)
+    file.data.lspTree = tree
+    return tree
+  }
+}
+
+/**
+ * @typedef EmbeddedCode
+ *   Code embedded in a document.
+ * @property {string} languageId
+ *   Language ID of the code.
+ * @property {UnistPosition} position
+ *   Place of the node that contains the code.
+ * @property {string} value
+ *   The code.
+ */
+
+/**
+ * Find the code embedded in a tree.
+ *
+ * @param {Node} tree
+ * @param {(node: Node) => string | null | undefined} getLanguageId
+ *   Get the language ID of code in a node.
+ * @returns {EmbeddedCode[]}
+ */
+function treeToEmbeddedCode(tree, getLanguageId) {
+  /** @type {EmbeddedCode[]} */
+  const results = []
+  visit(tree)
+  return results
+
+  /**
+   * @param {Node} node
+   */
+  function visit(node) {
+    // Generated nodes are not in the document.
+    const languageId = node.position ? getLanguageId(node) : undefined
+
+    if (
+      node.position &&
+      languageId &&
+      'value' in node &&
+      typeof node.value === 'string'
+    ) {
+      results.push({languageId, position: node.position, value: node.value})
+    }
+
+    if (isParent(node)) {
+      for (const child of node.children) {
+        visit(child)
+      }
+    }
+  }
+}
+
+/**
+ * Move a message about embedded code to the file that contains the code.
+ *
+ * The code is expected to start on the line after the node that contains it
+ * starts, indented like that node, as fenced code in markdown is.
+ * Messages without place are placed at that node.
+ *
+ * @param {VFileMessage} message
+ * @param {UnistPosition} position
+ *   Place of the node that contains the code.
+ * @param {VFile} file
+ *   File that contains the code.
+ * @returns {undefined}
+ */
+function moveEmbeddedMessage(message, position, file) {
+  const {start} = position
+  const place = message.place ? movePlace(message.place) : position
+  const point = 'start' in place ? place.start : place
+
+  message.place = place
+  message.line = point.line
+  message.column = point.column
+  message.file = file.path
+
+  for (const fix of vfileMessageToFixes(message)) {
+    for (const edit of fix.edits) {
+      // Edits of other files are not in the code.
+      if (!edit.file) {
+        edit.place = movePlace(edit.place)
+      }
+    }
+  }
+
+  const {related} = /** @type {{related?: unknown}} */ (message)
+
+  if (Array.isArray(related)) {
+    for (const item of /** @type {RelatedInformation[]} */ (related)) {
+      // Places in other files are not in the code.
+      if (item.place && !item.file) {
+        item.place = movePlace(item.place)
+      }
+    }
+  }
+
+  file.messages.push(message)
+
+  /**
+   * @param {Point | UnistPosition} place
+   * @returns {Point | UnistPosition}
+   */
+  function movePlace(place) {
+    return 'start' in place
+      ? {start: move(place.start), end: move(place.end)}
+      : move(place)
+  }
+
+  /**
+   * @param {Point} point
+   * @returns {Point}
+   */
+  function move(point) {
+    return {
+      line: point.line + start.line,
+      column: point.column + start.column - 1
+    }
+  }
+}
+
+/**
+ * @typedef ProcessOptions
+ * @property {string} cwd
+ * @property {boolean | undefined} [detectConfig]
+ *   Whether to search for configuration files (default: if `rcName` or
+ *   `packageField` are given).
+ * @property {Array<VFile | string>} files
+ *   Documents, or paths to folders to search for files in.
+ * @property {boolean} alwaysStringify
+ * @property {boolean} ignoreUnconfigured
+ * @property {string | undefined} ignorePath
+ * @property {'cwd' | 'dir' | undefined} ignorePathResolveFrom
+ * @property {number} [processorIndex=0]
+ *   Index of the processor definition to use.
+ * @property {Array<Range> | undefined} [ranges]
+ *   Only stringify the top-level nodes in these ranges and keep the results at
+ *   `file.data.lspFormatted`.
+ * @property {boolean} [tree=false]
+ *   Only parse documents and keep their trees at `file.data.lspTree`.
+ */
+
+/**
+ * @typedef ProcessDocumentsOptions
+ * @property {boolean | undefined} [alwaysStringify=false]
+ *   Stringify documents, to format them.
+ * @property {Array<Range> | undefined} [ranges]
+ *   Only format the top-level nodes in these ranges.
+ * @property {AbortSignal | undefined} [signal]
+ *   Skip processing if aborted before it starts.
+ * @property {boolean | undefined} [tree=false]
+ *   Only parse documents and keep their trees at `file.data.lspTree`.
+ */
+
+/**
+ * @typedef Notifier
+ *   Where to send messages meant for the user.
+ * @property {(message: string) => undefined} log
+ * @property {(message: string) => undefined} showInformationMessage
+ */
+
+/**
+ * @typedef WorkspaceProcessor
+ * @property {(options: ProcessOptions) => Promise<VFile[]>} processWorkspace
+ *   Process files in a workspace folder.
+ * @property {() => undefined} clear
+ *   Forget the loaded processors.
+ */
+
+/**
+ * @typedef SerializedFile
+ *   Vfile that can be passed between threads.
+ * @property {string} cwd
+ * @property {VFile['data']} data
+ * @property {Array<Record<string, unknown>>} messages
+ * @property {string | undefined} path
+ * @property {string} value
+ */
+
+/**
+ * @typedef {(
+ *   | {type: 'clear'}
+ *   | {
+ *       type: 'process'
+ *       id: number
+ *       options: Omit<ProcessOptions, 'files'> & {
+ *         files: Array<SerializedFile | string>
+ *       }
+ *     }
+ * )} WorkerRequest
+ *   Message sent to a worker.
+ */
+
+/**
+ * @typedef {(
+ *   | {type: 'error', id: number, message: string, stack: string | undefined}
+ *   | {type: 'notify', method: keyof Notifier, message: string}
+ *   | {type: 'result', id: number, files: SerializedFile[]}
+ * )} WorkerResponse
+ *   Message sent from a worker.
+ */
+
+/**
+ * Mark the documents in `files` as failed.
+ *
+ * @param {Array<VFile | string>} files
+ * @param {Error} error
+ * @returns {VFile[]}
+ */
+function failFiles(files, error) {
+  const documentFiles = files.filter(
+    /**
+     * @param {VFile | string} file
+     * @returns {file is VFile}
+     */
+    (file) => typeof file !== 'string'
+  )
+
+  for (const file of documentFiles) {
+    file.message(error).fatal = true
+  }
+
+  return documentFiles
+}
+
+/**
+ * Mark the documents in `files` as taking too long.
+ *
+ * @param {Array<VFile | string>} files
+ * @param {number} timeout
+ * @returns {VFile[]}
+ */
+function timeoutFiles(files, timeout) {
+  const documentFiles = files.filter(
+    /**
+     * @param {VFile | string} file
+     * @returns {file is VFile}
+     */
+    (file) => typeof file !== 'string'
+  )
+
+  for (const file of documentFiles) {
+    file.message(
+      'Cannot process `' +
+        path.relative(file.cwd, path.resolve(file.cwd, file.path)) +
+        '`: not done after ' +
+        timeout +
+        'ms'
+    ).fatal = true
+  }
+
+  return documentFiles
+}
+
+/**
+ * Turn a vfile into something that can be passed between threads.
+ *
+ * @param {VFile} file
+ * @returns {SerializedFile}
+ */
+function serializeFile(file) {
+  return {
+    cwd: file.cwd,
+    data: file.data,
+    messages: file.messages.map((message) => ({...message})),
+    path: file.path,
+    value: String(file)
+  }
+}
+
+/**
+ * Turn something passed between threads into a vfile.
+ *
+ * @param {SerializedFile} serialized
+ * @returns {VFile}
+ */
+function deserializeFile(serialized) {
+  const file = new VFile({
+    cwd: serialized.cwd,
+    data: serialized.data,
+    path: serialized.path,
+    value: serialized.value
+  })
+
+  for (const message of serialized.messages) {
+    file.messages.push(
+      Object.assign(new VFileMessage(String(message.reason)), message)
+    )
+  }
+
+  return file
+}
+
+/**
+ * Get all processor definitions of the language server, the one defined by
+ * the options themselves first.
+ *
+ * @param {Options} options
+ *   Configuration for `unified-engine` and the language server.
+ * @returns {Array<ProcessorDefinition>}
+ */
+function listProcessorDefinitions(options) {
+  return [options, ...(options.processors || [])]
+}
+
+/**
+ * Find the processor definition of a document: the first with its language
+ * ID, or else the first with its extension, or else the first one.
+ *
+ * @param {Array<ProcessorDefinition>} definitions
+ * @param {string} languageId
+ *   Language ID of the document.
+ * @param {string} uri
+ *   URI of the document.
+ * @returns {number}
+ *   Index of the definition.
+ */
+function findProcessorDefinition(definitions, languageId, uri) {
+  const extension = path.posix.extname(new URL(uri).pathname)
+  let index = definitions.findIndex(
+    (definition) =>
+      definition.languageIds !== undefined &&
+      definition.languageIds.includes(languageId)
+  )
+
+  if (index === -1 && extension) {
+    index = definitions.findIndex(
+      (definition) =>
+        definition.extensions !== undefined &&
+        definition.extensions.some(
+          (value) =>
+            (value.charAt(0) === '.' ? value : '.' + value) === extension
+        )
+    )
+  }
+
+  return index === -1 ? 0 : index
+}
+
+/**
+ * Create something to process files in workspace folders with unified.
+ *
+ * @param {Options} options
+ *   Configuration for `unified-engine` and the language server.
+ * @param {Notifier} notifier
+ *   Where to send messages meant for the user.
+ * @returns {WorkspaceProcessor}
+ */
+function createWorkspaceProcessor(options, notifier) {
+  const {embeddedLanguage, timeout = 0} = options
+  const definitions = listProcessorDefinitions(options)
+  /**
+   * Processors loaded for workspace folders, by definition and `cwd`.
+   *
+   * @type {Map<string, Promise<EngineOptions['processor'] | false>>}
+   */
+  const processors = new Map()
+  /**
+   * Configuration found for files in workspace folders, by definition and
+   * `cwd`, which keeps found configuration files and their plugins.
+   *
+   * @type {Map<string, Configuration>}
+   */
+  const configurations = new Map()
+
+  return {
+    clear() {
+      processors.clear()
+      configurations.clear()
+    },
+    processWorkspace
+  }
+
+  /**
+   * Load the processor from a workspace folder.
+   *
+   * @param {ProcessorDefinition} definition
+   * @param {string} cwd
+   * @returns {Promise<EngineOptions['processor'] | false>}
+   *   Processor, or `false` if it can’t be found.
+   */
+  async function loadProcessor(definition, cwd) {
+    const {
+      defaultProcessor,
+      processorName,
+      processorSpecifier = 'default'
+    } = definition
+
+    try {
+      return /** @type {EngineOptions['processor']} */ (
+        await loadPlugin(processorName, {
+          from: pathToFileURL(cwd + '/'),
+          key: processorSpecifier
+        })
+      )
+    } catch (error) {
+      const exception = /** @type {NodeJS.ErrnoException} */ (error)
+
+      // Pass other funky errors through.
+      /* c8 ignore next 3 */
+      if (exception.code !== 'ERR_MODULE_NOT_FOUND') {
+        throw error
+      }
+
+      if (!defaultProcessor) {
+        notifier.showInformationMessage(
+          'Cannot turn on language server without `' +
+            processorName +
+            '` locally. Run `npm install ' +
+            processorName +
+            '` to enable it'
+        )
+        return false
+      }
+
+      notifier.log(
+        'Cannot find `' +
+          processorName +
+          '` locally but using `defaultProcessor`, original error:\n' +
+          exception.stack
+      )
+
+      return defaultProcessor
+    }
+  }
+
+  /**
+   * @param {ProcessOptions} options
+   * @returns {Promise<VFile[]>}
+   */
+  async function processWorkspace(options) {
+    // Embedded code is not checked when only parsing or formatting.
+    if (!embeddedLanguage || options.tree || options.alwaysStringify) {
+      return processFiles(options, false)
+    }
+
+    const files = await processFiles(options, true)
+    await Promise.all(
+      files.map(async (file) =>
+        checkEmbeddedCode(file, options, embeddedLanguage)
+      )
+    )
+    return files
+  }
+
+  /**
+   * Check the code embedded in a file with the processors of their languages,
+   * and add the messages to the file.
+   *
+   * @param {VFile} file
+   * @param {ProcessOptions} options
+   * @param {(node: Node) => string | null | undefined} getLanguageId
+   *   Get the language ID of code in a node.
+   * @returns {Promise<undefined>}
+   */
+  async function checkEmbeddedCode(file, options, getLanguageId) {
+    const tree = /** @type {Node | undefined} */ (file.data.lspTree)
+    // Trees can be large, so they are not passed between threads.
+    delete file.data.lspTree
+
+    // Files that can’t be parsed have no tree.
+    if (!tree) {
+      return
+    }
+
+    await Promise.all(
+      treeToEmbeddedCode(tree, getLanguageId).map(async (code) => {
+        const processorIndex = definitions.findIndex(
+          (definition) =>
+            definition.languageIds !== undefined &&
+            definition.languageIds.includes(code.languageId)
+        )
+
+        if (processorIndex === -1) {
+          return
+        }
+
+        // Each piece of code is processed on its own, as `unified-engine`
+        // processes one file per path.
+        const [codeFile] = await processFiles(
+          {
+            ...options,
+            files: [
+              new VFile({cwd: file.cwd, path: file.path, value: code.value})
+            ],
+            processorIndex
+          },
+          false
+        )
+
+        if (codeFile) {
+          for (const message of codeFile.messages) {
+            moveEmbeddedMessage(message, code.position, file)
+          }
+        }
+      })
+    )
+  }
+
+  /**
+   * Get the configuration for files in a workspace folder.
+   *
+   * @param {ProcessorDefinition} definition
+   * @param {string} key
+   *   Key of the definition and workspace folder.
+   * @param {string} cwd
+   * @returns {Configuration}
+   */
+  function getConfiguration(definition, key, cwd) {
+    let configuration = configurations.get(key)
+
+    if (!configuration) {
+      configuration = new Configuration({
+        cwd,
+        detectConfig: true,
+        packageField: definition.packageField,
+        pluginPrefix: definition.pluginPrefix,
+        plugins: definition.plugins,
+        rcName: definition.rcName
+      })
+      configurations.set(key, configuration)
+    }
+
+    return configuration
+  }
+
+  /**
+   * @param {ProcessOptions} options
+   * @param {boolean} keepTrees
+   *   Keep the trees of files at `file.data.lspTree`.
+   * @returns {Promise<VFile[]>}
+   */
+  async function processFiles(
+    {
+      cwd,
+      files,
+      alwaysStringify,
+      ignoreUnconfigured,
+      ignorePath,
+      ignorePathResolveFrom,
+      detectConfig,
+      processorIndex = 0,
+      ranges,
+      tree = false
+    },
+    keepTrees
+  ) {
+    const definition = definitions[processorIndex]
+    const key = processorIndex + '\0' + cwd
+    let processorPromise = processors.get(key)
+
+    if (!processorPromise) {
+      processorPromise = loadProcessor(definition, cwd)
+      processors.set(key, processorPromise)
+    }
+
+    const processor = await processorPromise
+
+    if (processor === false) {
+      return []
+    }
+
+    /** @type {EngineOptions & {files: Array<VFile | string>}} */
+    const engineOptions = {
+      alwaysStringify,
+      cwd,
+      detectConfig,
+      extensions: definition.extensions,
+      files,
+      ignoreName: definition.ignoreName,
+      // Resolve a relative ignore path against the workspace folder.
+      ignorePath: ignorePath ? path.resolve(cwd, ignorePath) : undefined,
+      ignorePathResolveFrom,
+      ignoreUnconfigured,
+      packageField: definition.packageField,
+      pluginPrefix: definition.pluginPrefix,
+      plugins: definition.plugins,
+      processor: tree
+        ? () => processor().use(parseOnly)
+        : keepTrees
+          ? () => processor().use(keepTree)
+          : ranges
+            ? () => processor().use(stringifyRanges, ranges)
+            : processor,
+      quiet: false,
+      rcName: definition.rcName,
+      silentlyIgnore: true,
+      streamError: new PassThrough(),
+      streamOut: new PassThrough()
+    }
+
+    // Folders are searched by `unified-engine`, which finds the configuration
+    // of the files in them itself.
+    if (
+      detectConfig === false ||
+      (!definition.rcName && !definition.packageField) ||
+      files.some((file) => typeof file === 'string')
+    ) {
+      return runEngine(engineOptions)
+    }
+
+    const configuration = getConfiguration(definition, key, cwd)
+    const loaded = await Promise.all(
+      /** @type {Array<VFile>} */ (files).map(async (file) => ({
+        file,
+        result: await loadConfiguration(configuration, file.path).catch(
+          () => undefined
+        )
+      }))
+    )
+    /** @type {Map<ConfigResult, Array<VFile>>} */
+    const groups = new Map()
+    /** @type {Array<VFile>} */
+    const failed = []
+
+    for (const {file, result} of loaded) {
+      if (!result) {
+        failed.push(file)
+      }
+      // Files without configuration file are ignored, like `unified-engine`
+      // does.
+      else if (result.filePath || !ignoreUnconfigured) {
+        const group = groups.get(result)
+
+        if (group) {
+          group.push(file)
+        } else {
+          groups.set(result, [file])
+        }
+      }
+    }
+
+    // Files that share a configuration are processed together, with the
+    // plugins and settings that were found already.
+    const lists = await Promise.all(
+      [...groups].map(async ([result, files]) =>
+        runEngine({
+          ...engineOptions,
+          detectConfig: false,
+          files,
+          ignoreUnconfigured: false,
+          packageField: undefined,
+          plugins: result.plugins,
+          rcName: undefined,
+          settings: result.settings
+        })
+      )
+    )
+
+    // Files whose configuration can’t be loaded are processed by
+    // `unified-engine` itself, which ignores them or reports why.
+    if (failed.length > 0) {
+      lists.push(await runEngine({...engineOptions, files: failed}))
+    }
+
+    return lists.flat()
+  }
+
+  /**
+   * Run `unified-engine`.
+   *
+   * @param {EngineOptions & {files: Array<VFile | string>}} engineOptions
+   * @returns {Promise<VFile[]>}
+   */
+  async function runEngine(engineOptions) {
+    const {files} = engineOptions
+
+    return new Promise((resolve) => {
+      // Stop waiting for plugins that never finish.
+      // They can’t be stopped on the main thread, so they may still be running.
+      const timer = timeout
+        ? setTimeout(() => {
+            resolve(timeoutFiles(files, timeout))
+          }, timeout)
+        : undefined
+
+      engine(engineOptions, (error, _, context) => {
+        clearTimeout(timer)
+
+        // An error never occured and can’t be reproduced. This is an internal
+        // error in unified-engine. If a plugin throws, it’s reported as a
+        // vfile message.
+        if (error) {
+          resolve(failFiles(files, error))
+          return
+        }
+
+        // Files that are ignored are not included.
+        resolve(/** @type {Context} */ (context).files)
+      })
+    })
+  }
+}
+
+/**
+ * Find the configuration of a file.
+ *
+ * @param {Configuration} configuration
+ * @param {string} filePath
+ * @returns {Promise<ConfigResult>}
+ */
+async function loadConfiguration(configuration, filePath) {
+  return new Promise((resolve, reject) => {
+    configuration.load(filePath, (error, result) => {
+      if (result) {
+        resolve(result)
+      } else {
+        reject(error)
+      }
+    })
+  })
+}
+
+/**
+ * Create something to process files in workspace folders with unified in a
+ * pool of worker threads.
+ *
+ * Each worker loads the module that started the language server, which calls
+ * `createUnifiedLanguageServer` again with the same options.
+ * Workers that crash or take longer than `timeout` are replaced.
+ *
+ * @param {number} size
+ *   Number of workers.
+ * @param {number} timeout
+ *   Time in milliseconds to wait for a worker, `0` to wait forever.
+ * @param {Notifier} notifier
+ *   Where to send messages meant for the user.
+ * @returns {WorkspaceProcessor}
+ */
+function createWorkerPool(size, timeout, notifier) {
+  /**
+   * @typedef WorkerHandle
+   * @property {Worker} worker
+   *   Worker.
+   * @property {(id: number, options: ProcessOptions) => Promise<VFile[]>} run
+   *   Process files in the worker.
+   */
+
+  /** @type {WorkerHandle[]} */
+  const workers = []
+  let count = 0
+
+  while (workers.length < size) {
+    workers.push(spawn())
+  }
+
+  return {
+    clear() {
+      for (const {worker} of workers) {
+        worker.postMessage(/** @satisfies {WorkerRequest} */ ({type: 'clear'}))
+      }
+    },
+    processWorkspace(options) {
+      const id = ++count
+      return workers[id % workers.length].run(id, options)
+    }
+  }
+
+  /**
+   * Start a worker.
+   *
+   * @returns {WorkerHandle}
+   */
+  function spawn() {
+    /** @type {Map<number, {files: Array<VFile | string>, resolve: (files: VFile[]) => undefined}>} */
+    const pending = new Map()
+    const worker = new Worker(process.argv[1], {
+      workerData: {unifiedLanguageServer: true}
+    })
+    /** @type {WorkerHandle} */
+    const handle = {worker, run}
+
+    // Do not keep the language server running.
+    worker.unref()
+    worker.on(
+      'message',
+      /** @param {WorkerResponse} response */
+      (response) => {
+        if (response.type === 'notify') {
+          notifier[response.method](response.message)
+          return
+        }
+
+        const request =
+          /** @type {NonNullable<ReturnType<typeof pending.get>>} */ (
+            pending.get(response.id)
+          )
+        pending.delete(response.id)
+        request.resolve(
+          response.type === 'result'
+            ? response.files.map((file) => deserializeFile(file))
+            : failFiles(
+                request.files,
+                Object.assign(new Error(response.message), {
+                  stack: response.stack
+                })
+              )
+        )
+      }
+    )
+    // A plugin threw outside of unified, such as in a timer.
+    worker.on('error', (error) => {
+      failAll(error)
+      replace()
+    })
+    worker.on('exit', (code) => {
+      failAll(new Error('Worker stopped with exit code ' + code))
+      replace()
+    })
+
+    return handle
+
+    /**
+     * @param {number} id
+     * @param {ProcessOptions} options
+     * @returns {Promise<VFile[]>}
+     */
+    function run(id, options) {
+      return new Promise((resolve) => {
+        const timer = timeout
+          ? setTimeout(() => {
+              pending.delete(id)
+              resolve(timeoutFiles(options.files, timeout))
+              // The worker may be stuck, so replace it.
+              replace()
+              worker.terminate()
+            }, timeout)
+          : undefined
+
+        pending.set(id, {
+          files: options.files,
+          resolve(files) {
+            clearTimeout(timer)
+            resolve(files)
+          }
+        })
+        worker.postMessage(
+          /** @satisfies {WorkerRequest} */ ({
+            type: 'process',
+            id,
+            options: {
+              ...options,
+              files: options.files.map((file) =>
+                typeof file === 'string' ? file : serializeFile(file)
+              )
+            }
+          })
+        )
+      })
+    }
+
+    /**
+     * Start a new worker instead of this one, if that didn’t happen yet.
+     *
+     * @returns {undefined}
+     */
+    function replace() {
+      const index = workers.indexOf(handle)
+
+      if (index !== -1) {
+        workers[index] = spawn()
+      }
     }
-  }
 
-  if (
-    typeof message.cause === 'object' &&
-    message.cause &&
-    'stack' in message.cause
-  ) {
-    diagnostic.message += '\n' + message.cause.stack
-  }
+    /**
+     * Fail everything the worker is processing.
+     *
+     * @param {Error} error
+     * @returns {undefined}
+     */
+    function failAll(error) {
+      for (const request of pending.values()) {
+        request.resolve(failFiles(request.files, error))
+      }
 
-  if (message.note) {
-    diagnostic.message += '\n' + message.note
+      pending.clear()
+    }
   }
-
-  return diagnostic
 }
 
 /**
- * Convert language server protocol text document to a vfile.
+ * Process files for the main thread, in a worker.
  *
- * @param {TextDocument} document
- * @param {string} cwd
- * @returns {VFile}
+ * @param {Options} options
+ *   Configuration for `unified-engine` and the language server.
+ * @param {MessagePort} port
+ *   Port to the main thread.
+ * @returns {undefined}
  */
-function lspDocumentToVfile(document, cwd) {
-  return new VFile({
-    cwd,
-    path: new URL(document.uri),
-    value: document.getText(),
-    data: {lspDocumentUri: document.uri}
-  })
+function serveWorker(options, port) {
+  // The main thread stops workers that take too long.
+  const workspace = createWorkspaceProcessor(
+    {...options, timeout: 0},
+    {
+      log(message) {
+        port.postMessage(
+          /** @satisfies {WorkerResponse} */ ({
+            type: 'notify',
+            method: 'log',
+            message
+          })
+        )
+      },
+      showInformationMessage(message) {
+        port.postMessage(
+          /** @satisfies {WorkerResponse} */ ({
+            type: 'notify',
+            method: 'showInformationMessage',
+            message
+          })
+        )
+      }
+    }
+  )
+
+  port.on(
+    'message',
+    /** @param {WorkerRequest} request */
+    async (request) => {
+      if (request.type === 'clear') {
+        workspace.clear()
+        return
+      }
+
+      try {
+        const files = await workspace.processWorkspace({
+          ...request.options,
+          files: request.options.files.map((file) =>
+            typeof file === 'string' ? file : deserializeFile(file)
+          )
+        })
+
+        port.postMessage(
+          /** @satisfies {WorkerResponse} */ ({
+            type: 'result',
+            id: request.id,
+            files: files.map((file) => serializeFile(file))
+          })
+        )
+      } catch (error) {
+        const exception = /** @type {Error} */ (error)
+
+        // Most likely, something in `file.data` or a message can’t be passed
+        // between threads.
+        // Errors themselves can’t be passed either.
+        port.postMessage(
+          /** @satisfies {WorkerResponse} */ ({
+            type: 'error',
+            id: request.id,
+            message: exception.message,
+            stack: exception.stack
+          })
+        )
+      }
+    }
+  )
 }
 
 /**
@@ -147,27 +2623,94 @@ function lspDocumentToVfile(document, cwd) {
  * @param {Options} options
  *   Configuration for `unified-engine` and the language server.
  */
-export function createUnifiedLanguageServer({
-  configurationSection,
-  ignoreName,
-  packageField,
-  pluginPrefix,
-  plugins,
-  processorName,
-  processorSpecifier = 'default',
-  defaultProcessor,
-  rcName
-}) {
+export function createUnifiedLanguageServer(options) {
+  const data = /** @type {{unifiedLanguageServer?: boolean} | null} */ (
+    workerData
+  )
+
+  // This is a worker started by the language server.
+  if (data && data.unifiedLanguageServer) {
+    serveWorker(options, /** @type {MessagePort} */ (parentPort))
+    return
+  }
+
+  const {
+    configurationSection,
+    debounce = 200,
+    documentLinks = defaultDocumentLinks,
+    documentSymbols = {heading: SymbolKind.String},
+    foldingRanges = [
+      'blockquote',
+      'code',
+      'element',
+      'heading',
+      'html',
+      'list',
+      'toml',
+      'yaml'
+    ],
+    messageControl = defaultMessageControl,
+    timeout = 0,
+    workers = 0
+  } = options
+  const definitions = listProcessorDefinitions(options)
   const connection = createConnection(ProposedFeatures.all)
+  /** @type {Notifier} */
+  const notifier = {
+    log(message) {
+      connection.console.log(message)
+    },
+    showInformationMessage(message) {
+      connection.window.showInformationMessage(message)
+    }
+  }
+  const {clear, processWorkspace} =
+    workers > 0
+      ? createWorkerPool(workers, timeout, notifier)
+      : createWorkspaceProcessor(options, notifier)
   const documents = new TextDocuments(TextDocument)
+  // Cells of notebooks are also in `documents`.
+  const notebooks = new NotebookDocuments(documents)
+  // Only cells in languages that a processor is for are synchronized, as other
+  // cells would be checked by the wrong processor.
+  const notebookCellLanguages = [
+    ...new Set(
+      definitions.flatMap((definition) => definition.languageIds || [])
+    )
+  ]
   /** @type {Set<string>} */
   const workspaces = new Set()
   /** @type {UnifiedLanguageServerSettings} */
   const globalSettings = {requireConfig: false}
-  /** @type {Map<string, Promise<Required<Pick<UnifiedLanguageServerSettings, 'requireConfig'>> & Pick<UnifiedLanguageServerSettings, 'ignorePath' | 'ignorePathResolveFrom'>>>} */
+  /** @type {Map<string, Promise<ReturnType<typeof parseSettings>>>} */
   const documentSettings = new Map()
+  /** @type {Map<string, DiagnosticResult>} */
+  const diagnosticResults = new Map()
+  let diagnosticResultCount = 0
+  let workspaceDiagnosticGeneration = 0
+  /** @type {Map<string, ReturnType<typeof setTimeout>>} */
+  const scheduledChecks = new Map()
+  /** @type {Map<string, AbortController>} */
+  const checkControllers = new Map()
+  /** @type {Map<string, Promise<string | undefined>>} */
+  const ruleExcerpts = new Map()
+  const fixAllCommand = configurationSection + '.fixAll'
   let hasWorkspaceFolderCapability = false
   let hasConfigurationCapability = false
+  let hasDiagnosticPullCapability = false
+  let hasDiagnosticRefreshCapability = false
+  let hasRelatedInformationCapability = false
+  let hasCodeActionResolveCapability = false
+  /** @type {DiagnosticTag[]} */
+  let supportedDiagnosticTags = []
+
+  /**
+   * @typedef DiagnosticResult
+   * @property {string} resultId
+   *   ID of the report sent to the client.
+   * @property {number} version
+   *   Version of the document the report was computed for.
+   */
 
   /**
    * @param {string} scopeUri
@@ -182,19 +2725,7 @@ export function createUnifiedLanguageServer({
     if (!result) {
       result = connection.workspace
         .getConfiguration({scopeUri, section: configurationSection})
-        .then(
-          /** @param {Record<string, unknown>} raw */
-          (raw) => ({
-            requireConfig: Boolean(raw.requireConfig),
-            ignorePath:
-              typeof raw.ignorePath === 'string' ? raw.ignorePath : undefined,
-            ignorePathResolveFrom:
-              raw.ignorePathResolveFrom === 'cwd' ||
-              raw.ignorePathResolveFrom === 'dir'
-                ? raw.ignorePathResolveFrom
-                : undefined
-          })
-        )
+        .then(parseSettings)
       documentSettings.set(scopeUri, result)
     }
 
@@ -202,104 +2733,21 @@ export function createUnifiedLanguageServer({
   }
 
   /**
-   * @typedef ProcessOptions
-   * @property {string} cwd
-   * @property {VFile[]} files
-   * @property {boolean} alwaysStringify
-   * @property {boolean} ignoreUnconfigured
-   * @property {string | undefined} ignorePath
-   * @property {'cwd' | 'dir' | undefined} ignorePathResolveFrom
+   * Turn the messages of a file into diagnostics the client supports.
    *
-   * @param {ProcessOptions} options
-   * @returns {Promise<VFile[]>}
+   * @param {VFile} file
+   * @param {UnifiedLanguageServerSettings} settings
+   * @returns {Diagnostic[]}
    */
-  async function processWorkspace({
-    cwd,
-    files,
-    alwaysStringify,
-    ignoreUnconfigured,
-    ignorePath,
-    ignorePathResolveFrom
-  }) {
-    /** @type {EngineOptions['processor']} */
-    let processor
-
-    try {
-      processor = /** @type {EngineOptions['processor']} */ (
-        await loadPlugin(processorName, {
-          from: pathToFileURL(cwd + '/'),
-          key: processorSpecifier
-        })
-      )
-    } catch (error) {
-      const exception = /** @type {NodeJS.ErrnoException} */ (error)
-
-      // Pass other funky errors through.
-      /* c8 ignore next 3 */
-      if (exception.code !== 'ERR_MODULE_NOT_FOUND') {
-        throw error
-      }
-
-      if (!defaultProcessor) {
-        connection.window.showInformationMessage(
-          'Cannot turn on language server without `' +
-            processorName +
-            '` locally. Run `npm install ' +
-            processorName +
-            '` to enable it'
-        )
-        return []
-      }
-
-      connection.console.log(
-        'Cannot find `' +
-          processorName +
-          '` locally but using `defaultProcessor`, original error:\n' +
-          exception.stack
-      )
-
-      processor = defaultProcessor
-    }
-
-    // Resolve a relative ignore path against the workspace folder.
-    const resolvedIgnorePath = ignorePath
-      ? path.resolve(cwd, ignorePath)
-      : undefined
-
-    return new Promise((resolve) => {
-      engine(
-        {
-          alwaysStringify,
-          cwd,
-          files,
-          ignoreName,
-          ignorePath: resolvedIgnorePath,
-          ignorePathResolveFrom,
-          ignoreUnconfigured,
-          packageField,
-          pluginPrefix,
-          plugins,
-          processor,
-          quiet: false,
-          rcName,
-          silentlyIgnore: true,
-          streamError: new PassThrough(),
-          streamOut: new PassThrough()
-        },
-        (error) => {
-          // An error never occured and can’t be reproduced. This is an internal
-          // error in unified-engine. If a plugin throws, it’s reported as a
-          // vfile message.
-          if (error) {
-            for (const file of files) {
-              file.message(error).fatal = true
-            }
-          }
-
-          resolve(files)
-        }
-      )
-    })
+  function fileToDiagnostics(file, settings) {
+    return overrideSeverity(
+      vfileToDiagnostics(
+        file,
+        hasRelatedInformationCapability,
+        supportedDiagnosticTags
+      ),
+      settings.severity
+    )
   }
 
   /**
@@ -307,10 +2755,13 @@ export function createUnifiedLanguageServer({
    * resulting messages as diagnostics.
    *
    * @param {TextDocument[]} textDocuments
-   * @param {boolean} alwaysStringify
+   * @param {ProcessDocumentsOptions} [options]
    * @returns {Promise<VFile[]>}
    */
-  async function processDocuments(textDocuments, alwaysStringify = false) {
+  async function processDocuments(
+    textDocuments,
+    {alwaysStringify = false, ranges, signal, tree = false} = {}
+  ) {
     // LSP uses `file:` URLs (hrefs), `unified-engine` expects a paths.
     // `process.cwd()` does not add a final slash, but `file:` URLs often do.
     const workspacesAsPaths = [...workspaces]
@@ -320,9 +2771,11 @@ export function createUnifiedLanguageServer({
     /**
      * @typedef Group
      * @property {string} cwd
+     * @property {boolean | undefined} detectConfig
      * @property {boolean} ignoreUnconfigured
      * @property {string | undefined} ignorePath
      * @property {'cwd' | 'dir' | undefined} ignorePathResolveFrom
+     * @property {number} processorIndex
      * @property {VFile[]} files
      */
     /** @type {Map<string, Group>} */
@@ -332,7 +2785,17 @@ export function createUnifiedLanguageServer({
       textDocuments.map(async (textDocument) => {
         /** @type {string | undefined} */
         let cwd
-        if (workspaces.size === 0) {
+        // Cells are checked as if they are their notebook.
+        const notebook = notebooks.findNotebookDocumentForCell(textDocument.uri)
+        const uri = notebook ? notebook.uri : textDocument.uri
+        const isFile = uri.startsWith('file:')
+
+        if (!isFile) {
+          // Documents that are not files are checked in the first workspace
+          // folder on the file system, or the current working directory.
+          const workspace = [...workspaces].find((d) => d.startsWith('file:'))
+          cwd = workspace ? fileURLToPath(workspace) : process.cwd()
+        } else if (workspaces.size === 0) {
           cwd = await findUp(
             async (directory) => {
               const packageExists = await pathExists(
@@ -348,7 +2811,7 @@ export function createUnifiedLanguageServer({
               }
             },
             {
-              cwd: path.dirname(fileURLToPath(textDocument.uri)),
+              cwd: path.dirname(fileURLToPath(uri)),
               type: 'directory'
             }
           )
@@ -356,7 +2819,7 @@ export function createUnifiedLanguageServer({
           // Because the workspaces are sorted longest to shortest, the first
           // match is closest to the file.
           const ancestor = workspacesAsPaths.find((d) =>
-            textDocument.uri.startsWith(d + '/')
+            uri.startsWith(d + '/')
           )
           if (ancestor) {
             cwd = fileURLToPath(ancestor)
@@ -367,25 +2830,41 @@ export function createUnifiedLanguageServer({
 
         const configuration = await getDocumentSettings(textDocument.uri)
 
-        const file = lspDocumentToVfile(textDocument, cwd)
+        const file = lspDocumentToVfile(textDocument, cwd, uri)
 
         const ignoreUnconfigured = Boolean(configuration.requireConfig)
         const {ignorePath, ignorePathResolveFrom} = configuration
+        const processorIndex = findProcessorDefinition(
+          definitions,
+          textDocument.languageId,
+          uri
+        )
         const key =
+          processorIndex +
+          '\0' +
           cwd +
           '\0' +
           (ignoreUnconfigured ? '1' : '0') +
           '\0' +
           (ignorePath || '') +
           '\0' +
-          (ignorePathResolveFrom || '')
+          (ignorePathResolveFrom || '') +
+          '\0' +
+          (isFile ? '1' : '0') +
+          '\0' +
+          // Cells of a notebook have the same path, so `unified-engine` can
+          // only process them one at a time.
+          (notebook ? textDocument.uri : '')
         let group = groups.get(key)
         if (!group) {
           group = {
             cwd,
+            // Documents that are not files use the default configuration.
+            detectConfig: isFile ? undefined : false,
             ignoreUnconfigured,
             ignorePath,
             ignorePathResolveFrom,
+            processorIndex,
             files: []
           }
           groups.set(key, group)
@@ -395,24 +2874,378 @@ export function createUnifiedLanguageServer({
       })
     )
 
+    // The documents changed while waiting for their settings, so they are
+    // checked again: skip this now superseded work.
+    if (signal && signal.aborted) {
+      return []
+    }
+
     /** @type {Array<Promise<Array<VFile>>>} */
     const promises = []
 
-    for (const group of groups.values()) {
-      promises.push(
-        processWorkspace({
-          cwd: group.cwd,
-          files: group.files,
-          alwaysStringify,
-          ignoreUnconfigured: group.ignoreUnconfigured,
-          ignorePath: group.ignorePath,
-          ignorePathResolveFrom: group.ignorePathResolveFrom
-        })
+    for (const group of groups.values()) {
+      promises.push(
+        processWorkspace({
+          cwd: group.cwd,
+          detectConfig: group.detectConfig,
+          files: group.files,
+          alwaysStringify,
+          ignoreUnconfigured: group.ignoreUnconfigured,
+          ignorePath: group.ignorePath,
+          ignorePathResolveFrom: group.ignorePathResolveFrom,
+          processorIndex: group.processorIndex,
+          ranges,
+          tree
+        })
+      )
+    }
+
+    const listsOfFiles = await Promise.all(promises)
+    return listsOfFiles.flat()
+  }
+
+  /**
+   * Load an excerpt of the readme of the package of the rule of a message,
+   * such as `remark-lint-no-html` for the rule `no-html` from `remark-lint`.
+   *
+   * @param {VFileMessage} message
+   * @param {string} cwd
+   * @returns {Promise<string | undefined>}
+   */
+  async function loadRuleExcerpt(message, cwd) {
+    // The readme of a source, such as `remark-lint`, is not about the rule.
+    if (!message.source || !message.ruleId) {
+      return
+    }
+
+    const name = message.source + '-' + message.ruleId
+    const key = cwd + '\0' + name
+    let excerptPromise = ruleExcerpts.get(key)
+
+    if (!excerptPromise) {
+      excerptPromise = loadPackageReadme(name, cwd).then((readme) =>
+        readme === undefined ? undefined : readmeToExcerpt(readme)
+      )
+      ruleExcerpts.set(key, excerptPromise)
+    }
+
+    return excerptPromise
+  }
+
+  /**
+   * Fix all messages with one expected value in a document, checking it again
+   * after each pass until there is nothing left to fix.
+   *
+   * @param {TextDocument} document
+   * @returns {Promise<TextDocument>}
+   */
+  async function fixDocument(document) {
+    const settings = await getDocumentSettings(document.uri)
+    let current = document
+    let passes = 0
+
+    while (passes < maxFixAllPasses) {
+      passes++
+      // Each pass depends on the result of the previous one.
+      // eslint-disable-next-line no-await-in-loop
+      const [file] = await processDocuments([current])
+
+      if (!file) {
+        break
+      }
+
+      const result = applyExpectedFixes(
+        current,
+        // Rules that are turned off are not fixed either.
+        removeOffMessages(file.messages, settings.severity)
+      )
+
+      if (result === undefined) {
+        break
+      }
+
+      current = TextDocument.create(
+        document.uri,
+        document.languageId,
+        document.version,
+        result
+      )
+    }
+
+    return current
+  }
+
+  /**
+   * Get the edits that fix all messages with one expected value in a
+   * document.
+   *
+   * @param {TextDocument} document
+   * @returns {Promise<TextEdit[]>}
+   */
+  async function fixAll(document) {
+    const fixed = await fixDocument(document)
+    return createTextEdits(document, fixed.getText())
+  }
+
+  /**
+   * Create code actions to turn off the rules of diagnostics, with comments
+   * for the next node or the whole file, or in the configuration file.
+   *
+   * @param {TextDocument} document
+   * @param {Diagnostic[]} diagnostics
+   * @returns {Promise<CodeAction[]>}
+   */
+  async function createDisableCodeActions(document, diagnostics) {
+    /** @type {CodeAction[]} */
+    const codeActions = []
+    /** @type {Set<string>} */
+    const seen = new Set()
+    /** @type {Array<{control: MessageControl, ruleId: string}>} */
+    const rules = []
+    const controlled = diagnostics.flatMap((diagnostic) => {
+      const control =
+        diagnostic.source && Object.hasOwn(messageControl, diagnostic.source)
+          ? messageControl[diagnostic.source]
+          : undefined
+      const ruleId = diagnostic.code
+
+      return control && typeof ruleId === 'string'
+        ? [{control, diagnostic, ruleId}]
+        : []
+    })
+    // Only parse the document when there are rules to turn off.
+    // Documents that can’t be processed, such as next to a broken
+    // `package.json`, are ignored from the line of the message.
+    const result =
+      controlled.length > 0
+        ? await parseDocument(document).catch(() => undefined)
+        : undefined
+
+    for (const {control, diagnostic, ruleId} of controlled) {
+      const {start} = diagnostic.range
+      // Messages outside of blocks, such as on blank lines, are ignored
+      // from their own line.
+      const {indent, line} = (result &&
+        treeToIgnorePlace(result.tree, document, start)) || {
+        line: start.line,
+        indent: ''
+      }
+      const key = ruleId + ':' + line
+
+      if (!seen.has(key)) {
+        seen.add(key)
+        codeActions.push(
+          CodeAction.create(
+            'Disable `' + ruleId + '` for the next node',
+            {
+              changes: {
+                [document.uri]: [
+                  TextEdit.insert(
+                    Position.create(line, 0),
+                    indent + control.comment('ignore', ruleId) + '\n'
+                  )
+                ]
+              }
+            },
+            CodeActionKind.QuickFix
+          )
+        )
+      }
+
+      if (!seen.has(ruleId)) {
+        seen.add(ruleId)
+        rules.push({control, ruleId})
+
+        codeActions.push(
+          CodeAction.create(
+            'Disable `' + ruleId + '` for the whole file',
+            {
+              changes: {
+                [document.uri]: [
+                  TextEdit.insert(
+                    Position.create(lineAfterFrontmatter(document), 0),
+                    control.comment('disable', ruleId) + '\n\n'
+                  )
+                ]
+              }
+            },
+            CodeActionKind.QuickFix
+          )
+        )
+      }
+    }
+
+    const notebook = notebooks.findNotebookDocumentForCell(document.uri)
+    const uri = notebook ? notebook.uri : document.uri
+    const {packageField, rcName} =
+      definitions[
+        findProcessorDefinition(definitions, document.languageId, uri)
+      ]
+    const configPath =
+      // Documents that are not files have no configuration files.
+      rules.length > 0 && uri.startsWith('file:')
+        ? await findConfigFile(fileURLToPath(uri), rcName, packageField)
+        : undefined
+
+    if (!configPath) {
+      return codeActions
+    }
+
+    const name = path.basename(configPath)
+
+    // Only JSON configuration files can be changed.
+    if (!['package.json', rcName, rcName + '.json'].includes(name)) {
+      return codeActions
+    }
+
+    const text = await fs.readFile(configPath, 'utf8')
+    const end = TextDocument.create(configPath, 'json', 0, text).positionAt(
+      text.length
+    )
+
+    for (const {control, ruleId} of rules) {
+      const newText = disablePluginInConfig(
+        text,
+        name === 'package.json' ? packageField : undefined,
+        control.plugin(ruleId)
+      )
+
+      if (newText) {
+        codeActions.push(
+          CodeAction.create(
+            'Disable `' + ruleId + '` in `' + name + '`',
+            {
+              changes: {
+                [pathToFileURL(configPath).href]: [
+                  TextEdit.replace(
+                    Range.create(Position.create(0, 0), end),
+                    newText
+                  )
+                ]
+              }
+            },
+            CodeActionKind.QuickFix
+          )
+        )
+      }
+    }
+
+    return codeActions
+  }
+
+  /**
+   * Find the configuration file that applies to a file, like `unified-engine`
+   * does.
+   *
+   * @param {string} filePath
+   * @param {string | undefined} rcName
+   * @param {string | undefined} packageField
+   * @returns {Promise<string | undefined>}
+   */
+  async function findConfigFile(filePath, rcName, packageField) {
+    /** @type {Array<string>} */
+    const names = []
+
+    if (rcName) {
+      names.push(
+        rcName,
+        ...['.json', '.cjs', '.mjs', '.js', '.yaml', '.yml'].map(
+          (extension) => rcName + extension
+        )
+      )
+    }
+
+    if (packageField) {
+      names.push('package.json')
+    }
+
+    return findUp(
+      async (directory) => {
+        const exists = await Promise.all(
+          names.map((name) => pathExists(path.join(directory, name)))
+        )
+        const name = names.find((_, index) => exists[index])
+
+        if (!name) {
+          return
+        }
+
+        const configPath = path.join(directory, name)
+
+        if (name !== 'package.json') {
+          return configPath
+        }
+
+        /** @type {unknown} */
+        let data
+
+        try {
+          data = JSON.parse(await fs.readFile(configPath, 'utf8'))
+        } catch {
+          // Broken files might have configuration, but it can’t be changed.
+          return configPath
+        }
+
+        // Folders with a `package.json` without configuration are skipped.
+        if (isRecord(data) && /** @type {string} */ (packageField) in data) {
+          return configPath
+        }
+      },
+      {cwd: path.dirname(filePath)}
+    )
+  }
+
+  /**
+   * Parse an LSP text document using unified.
+   *
+   * @param {TextDocument} textDocument
+   * @returns {Promise<{file: VFile, tree: Node} | undefined>}
+   *   File and tree, or `undefined` if the document is ignored or can’t be
+   *   parsed.
+   */
+  async function parseDocument(textDocument) {
+    const [file] = await processDocuments([textDocument], {tree: true})
+    const tree = file && /** @type {Node | undefined} */ (file.data.lspTree)
+    return tree && {file, tree}
+  }
+
+  /**
+   * Format the top-level nodes in a document that intersect with ranges,
+   * by stringifying each run of them on its own.
+   *
+   * @param {string} uri
+   * @param {Array<Range>} ranges
+   * @returns {Promise<TextEdit[] | undefined>}
+   */
+  async function formatRanges(uri, ranges) {
+    const document = documents.get(uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return
+    }
+
+    const [file] = await processDocuments([document], {
+      alwaysStringify: true,
+      ranges
+    })
+    const formatted =
+      file &&
+      /** @type {Array<FormattedRange> | false | undefined} */ (
+        file.data.lspFormatted
       )
+
+    // Documents that are ignored or can’t be parsed are not formatted.
+    if (!formatted) {
+      return
     }
 
-    const listsOfFiles = await Promise.all(promises)
-    return listsOfFiles.flat()
+    const edits = formatted.map(({range, value}) =>
+      TextEdit.replace(range, value)
+    )
+
+    return createTextEdits(document, TextDocument.applyEdits(document, edits))
   }
 
   /**
@@ -420,27 +3253,103 @@ export function createUnifiedLanguageServer({
    * resulting messages as diagnostics.
    *
    * @param {TextDocument[]} textDocuments
+   * @param {AbortSignal | undefined} [signal]
+   *   Aborted when the documents are changed or closed.
    */
-  async function checkDocuments(...textDocuments) {
+  async function checkDocuments(textDocuments, signal) {
     const documentVersions = new Map(
       textDocuments.map((document) => [document.uri, document.version])
     )
-    const files = await processDocuments(textDocuments)
+    const [files, settings] = await Promise.all([
+      processDocuments(textDocuments, {signal}),
+      Promise.all(
+        textDocuments.map((document) => getDocumentSettings(document.uri))
+      )
+    ])
+
+    for (const [index, textDocument] of textDocuments.entries()) {
+      // Drop stale results: the document was closed, or changed and is
+      // checked again.
+      if (
+        documents.get(textDocument.uri) !== textDocument ||
+        textDocument.version !== documentVersions.get(textDocument.uri)
+      ) {
+        continue
+      }
 
-    for (const file of files) {
-      // All the vfiles we create have a `lspDocumentUri`.
-      const uri = /** @type {string} */ (file.data.lspDocumentUri)
+      const file = files.find(
+        (file) => file.data.lspDocumentUri === textDocument.uri
+      )
 
+      // Documents that are ignored get empty diagnostics.
       connection.sendDiagnostics({
-        uri,
-        version: documentVersions.get(uri),
-        diagnostics: file.messages.map((message) =>
-          vfileMessageToDiagnostic(message)
-        )
+        uri: textDocument.uri,
+        version: textDocument.version,
+        diagnostics: file ? fileToDiagnostics(file, settings[index]) : []
       })
     }
   }
 
+  /**
+   * Check a document after it stopped changing for `debounce` milliseconds.
+   *
+   * @param {TextDocument} textDocument
+   */
+  function scheduleCheck(textDocument) {
+    const {uri} = textDocument
+    const controller = new AbortController()
+
+    cancelCheck(uri)
+    checkControllers.set(uri, controller)
+    scheduledChecks.set(
+      uri,
+      setTimeout(() => {
+        scheduledChecks.delete(uri)
+        checkDocuments([textDocument], controller.signal)
+      }, debounce)
+    )
+  }
+
+  /**
+   * Cancel the scheduled or running check of a document.
+   *
+   * Checks that did not start processing yet are skipped, results of checks
+   * that did are dropped.
+   *
+   * @param {string} uri
+   */
+  function cancelCheck(uri) {
+    const controller = checkControllers.get(uri)
+
+    clearTimeout(scheduledChecks.get(uri))
+    scheduledChecks.delete(uri)
+
+    if (controller) {
+      controller.abort()
+      checkControllers.delete(uri)
+    }
+  }
+
+  /**
+   * Check all open documents again.
+   *
+   * When the client pulls diagnostics, cached results are dropped and the
+   * client is asked to pull again; otherwise, diagnostics are pushed.
+   */
+  function refreshDiagnostics() {
+    if (!hasDiagnosticPullCapability) {
+      checkDocuments(documents.all())
+      return
+    }
+
+    diagnosticResults.clear()
+    workspaceDiagnosticGeneration++
+
+    if (hasDiagnosticRefreshCapability) {
+      connection.languages.diagnostics.refresh()
+    }
+  }
+
   connection.onInitialize((event) => {
     if (event.workspaceFolders) {
       for (const workspace of event.workspaceFolders) {
@@ -459,15 +3368,81 @@ export function createUnifiedLanguageServer({
       event.capabilities.workspace &&
       event.capabilities.workspace.workspaceFolders
     )
+    hasDiagnosticPullCapability = Boolean(
+      event.capabilities.textDocument &&
+      event.capabilities.textDocument.diagnostic
+    )
+    hasDiagnosticRefreshCapability = Boolean(
+      event.capabilities.workspace &&
+      event.capabilities.workspace.diagnostics &&
+      event.capabilities.workspace.diagnostics.refreshSupport
+    )
+    // Clients that pull diagnostics describe what they support in diagnostics
+    // as part of publishing them.
+    const publishDiagnostics =
+      event.capabilities.textDocument &&
+      event.capabilities.textDocument.publishDiagnostics
+    hasRelatedInformationCapability = Boolean(
+      publishDiagnostics && publishDiagnostics.relatedInformation
+    )
+    supportedDiagnosticTags =
+      publishDiagnostics && publishDiagnostics.tagSupport
+        ? publishDiagnostics.tagSupport.valueSet
+        : []
+    // Edits of fixes are only added when resolving code actions if the client
+    // can do that.
+    const codeAction =
+      event.capabilities.textDocument &&
+      event.capabilities.textDocument.codeAction
+    hasCodeActionResolveCapability = Boolean(
+      codeAction &&
+      codeAction.resolveSupport &&
+      codeAction.resolveSupport.properties.includes('edit')
+    )
 
     return {
       capabilities: {
-        textDocumentSync: TextDocumentSyncKind.Full,
+        textDocumentSync: {
+          openClose: true,
+          change: TextDocumentSyncKind.Incremental,
+          willSaveWaitUntil: true
+        },
+        notebookDocumentSync:
+          notebookCellLanguages.length > 0
+            ? {
+                notebookSelector: [
+                  {
+                    notebook: '*',
+                    cells: notebookCellLanguages.map((language) => ({language}))
+                  }
+                ]
+              }
+            : undefined,
         documentFormattingProvider: true,
+        documentRangeFormattingProvider: {rangesSupport: true},
+        documentLinkProvider: {resolveProvider: false},
+        documentSymbolProvider: true,
+        foldingRangeProvider: true,
+        hoverProvider: true,
+        selectionRangeProvider: true,
         codeActionProvider: {
-          codeActionKinds: [CodeActionKind.QuickFix],
+          codeActionKinds: [
+            CodeActionKind.QuickFix,
+            CodeActionKind.SourceFixAll
+          ],
           resolveProvider: true
         },
+        executeCommandProvider: {commands: [fixAllCommand]},
+        diagnosticProvider: hasDiagnosticPullCapability
+          ? {
+              interFileDependencies: false,
+              workspaceDiagnostics: definitions.some(
+                (definition) =>
+                  definition.extensions !== undefined &&
+                  definition.extensions.length > 0
+              )
+            }
+          : undefined,
         workspace: hasWorkspaceFolderCapability
           ? {workspaceFolders: {supported: true, changeNotifications: true}}
           : undefined
@@ -490,7 +3465,7 @@ export function createUnifiedLanguageServer({
           workspaces.add(workspace.uri)
         }
 
-        checkDocuments(...documents.all())
+        refreshDiagnostics()
       })
     }
   })
@@ -504,42 +3479,331 @@ export function createUnifiedLanguageServer({
       return
     }
 
-    const [file] = await processDocuments([document], true)
+    const [file] = await processDocuments([document], {alwaysStringify: true})
 
     if (!file) {
       return
     }
 
     const result = String(file)
-    const text = document.getText()
-    if (result === text) {
+    if (result === document.getText()) {
+      return
+    }
+
+    return createTextEdits(document, result)
+  })
+
+  connection.onDocumentRangeFormatting(async (event) =>
+    formatRanges(event.textDocument.uri, [event.range])
+  )
+
+  connection.onRequest(DocumentRangesFormattingRequest.type, async (event) =>
+    formatRanges(event.textDocument.uri, event.ranges)
+  )
+
+  connection.onDocumentLinks(async (event) => {
+    const document = documents.get(event.textDocument.uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return
+    }
+
+    const parsed = await parseDocument(document)
+
+    if (!parsed) {
+      return
+    }
+
+    return treeToDocumentLinks(parsed.tree, parsed.file, documentLinks)
+  })
+
+  connection.onDocumentSymbol(async (event) => {
+    const document = documents.get(event.textDocument.uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return
+    }
+
+    const parsed = await parseDocument(document)
+
+    if (!parsed) {
+      return
+    }
+
+    return treeToDocumentSymbols(parsed.tree, documentSymbols)
+  })
+
+  connection.onFoldingRanges(async (event) => {
+    const document = documents.get(event.textDocument.uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return
+    }
+
+    const parsed = await parseDocument(document)
+
+    if (!parsed) {
+      return
+    }
+
+    return treeToFoldingRanges(parsed.tree, foldingRanges)
+  })
+
+  connection.onHover(async (event) => {
+    const document = documents.get(event.textDocument.uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return
+    }
+
+    const [file] = await processDocuments([document])
+
+    if (!file) {
+      return
+    }
+
+    const settings = await getDocumentSettings(document.uri)
+
+    return fileToHover(
+      file,
+      event.position,
+      (message) => loadRuleExcerpt(message, file.cwd),
+      settings.severity
+    )
+  })
+
+  connection.onSelectionRanges(async (event) => {
+    const document = documents.get(event.textDocument.uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return
+    }
+
+    const parsed = await parseDocument(document)
+
+    if (!parsed) {
       return
     }
 
-    const start = Position.create(0, 0)
-    const end = document.positionAt(text.length)
+    return event.positions.map((position) =>
+      treeToSelectionRange(parsed.tree, position)
+    )
+  })
+
+  connection.languages.diagnostics.on(async (event) => {
+    const document = documents.get(event.textDocument.uri)
+
+    // This might happen if a client calls this function without synchronizing
+    // the document first.
+    if (!document) {
+      return {kind: DocumentDiagnosticReportKind.Full, items: []}
+    }
+
+    const previous = diagnosticResults.get(document.uri)
+
+    if (
+      previous &&
+      previous.version === document.version &&
+      previous.resultId === event.previousResultId
+    ) {
+      return {
+        kind: DocumentDiagnosticReportKind.Unchanged,
+        resultId: previous.resultId
+      }
+    }
+
+    const version = document.version
+    const settings = await getDocumentSettings(document.uri)
+    const [file] = await processDocuments([document])
+
+    // Ask the client to pull again if the document changed in the meantime.
+    if (
+      documents.get(document.uri) !== document ||
+      document.version !== version
+    ) {
+      throw new ResponseError(
+        LSPErrorCodes.ServerCancelled,
+        'Document changed while checking it',
+        {retriggerRequest: true}
+      )
+    }
+
+    const resultId = String(++diagnosticResultCount)
 
-    return [TextEdit.replace(Range.create(start, end), result)]
+    diagnosticResults.set(document.uri, {resultId, version: document.version})
+
+    return {
+      kind: DocumentDiagnosticReportKind.Full,
+      resultId,
+      items: file ? fileToDiagnostics(file, settings) : []
+    }
   })
 
+  connection.languages.diagnostics.onWorkspace(
+    async (event, _, workDoneProgress) => {
+      const resultId = String(workspaceDiagnosticGeneration)
+
+      // Files are only checked again if something changed in the workspace.
+      if (
+        event.previousResultIds.length > 0 &&
+        event.previousResultIds.every((previous) => previous.value === resultId)
+      ) {
+        return {
+          items: event.previousResultIds.map((previous) => ({
+            kind: DocumentDiagnosticReportKind.Unchanged,
+            uri: previous.uri,
+            version: null,
+            resultId
+          }))
+        }
+      }
+
+      const folders = [...workspaces]
+      let done = 0
+
+      workDoneProgress.begin('Checking workspace', 0)
+
+      const listsOfItems = await Promise.all(
+        folders.map(async (folder) => {
+          const configuration = await getDocumentSettings(folder)
+          /** @type {WorkspaceDocumentDiagnosticReport[]} */
+          const items = []
+
+          // Only folders on the file system can be searched.
+          if (
+            configuration.workspaceDiagnostics &&
+            folder.startsWith('file:')
+          ) {
+            const cwd = fileURLToPath(folder.replace(/[/\\]?$/, ''))
+            const listsOfFiles = await Promise.all(
+              definitions.map(async (definition, processorIndex) =>
+                definition.extensions && definition.extensions.length > 0
+                  ? processWorkspace({
+                      cwd,
+                      files: [cwd],
+                      alwaysStringify: false,
+                      ignoreUnconfigured: Boolean(configuration.requireConfig),
+                      ignorePath: configuration.ignorePath,
+                      ignorePathResolveFrom:
+                        configuration.ignorePathResolveFrom,
+                      processorIndex
+                    })
+                  : []
+              )
+            )
+
+            for (const file of listsOfFiles.flat()) {
+              items.push({
+                kind: DocumentDiagnosticReportKind.Full,
+                uri: pathToFileURL(path.resolve(file.cwd, file.path)).href,
+                version: null,
+                resultId,
+                items: fileToDiagnostics(file, configuration)
+              })
+            }
+          }
+
+          done++
+          workDoneProgress.report(Math.round((done / folders.length) * 100))
+
+          return items
+        })
+      )
+
+      workDoneProgress.done()
+
+      return {items: listsOfItems.flat()}
+    }
+  )
+
   documents.onDidChangeContent((event) => {
-    checkDocuments(event.document)
+    // Clients that pull diagnostics request them themselves.
+    if (!hasDiagnosticPullCapability) {
+      scheduleCheck(event.document)
+    }
+  })
+
+  documents.onWillSaveWaitUntil(async (event) => {
+    const {document} = event
+    const settings = await getDocumentSettings(document.uri)
+    let current = document
+
+    if (settings.fixOnSave) {
+      current = await fixDocument(current)
+    }
+
+    if (settings.formatOnSave) {
+      const [file] = await processDocuments([current], {alwaysStringify: true})
+
+      if (file) {
+        current = TextDocument.create(
+          document.uri,
+          document.languageId,
+          document.version,
+          String(file)
+        )
+      }
+    }
+
+    return createTextEdits(document, current.getText())
   })
 
   // Send empty diagnostics for closed files.
   documents.onDidClose((event) => {
     const {uri, version} = event.document
-    connection.sendDiagnostics({
-      uri,
-      version,
-      diagnostics: []
-    })
+
+    cancelCheck(uri)
+
+    if (hasDiagnosticPullCapability) {
+      diagnosticResults.delete(uri)
+      // The file on disk may have been saved, so the workspace is stale.
+      workspaceDiagnosticGeneration++
+    } else {
+      connection.sendDiagnostics({
+        uri,
+        version,
+        diagnostics: []
+      })
+    }
+
     documentSettings.delete(uri)
   })
 
   // Check everything again if the file system watched by the client changes.
-  connection.onDidChangeWatchedFiles(() => {
-    checkDocuments(...documents.all())
+  connection.onDidChangeWatchedFiles((event) => {
+    // Processors are loaded again when dependencies or configuration change.
+    if (
+      event.changes.some((change) => {
+        const {pathname} = new URL(change.uri)
+        const basename = path.posix.basename(pathname)
+
+        return (
+          pathname.split('/').includes('node_modules') ||
+          basename === 'package.json' ||
+          definitions.some(
+            (definition) =>
+              basename === definition.ignoreName ||
+              (definition.rcName !== undefined &&
+                basename.startsWith(definition.rcName))
+          )
+        )
+      })
+    ) {
+      clear()
+      ruleExcerpts.clear()
+    }
+
+    refreshDiagnostics()
   })
 
   connection.onDidChangeConfiguration((change) => {
@@ -551,23 +3815,14 @@ export function createUnifiedLanguageServer({
         /** @type {Omit<typeof change, 'settings'> & { settings: Record<string, unknown> }} */ (
           change
         ).settings
-      globalSettings.requireConfig = Boolean(settings.requireConfig)
-      globalSettings.ignorePath =
-        typeof settings.ignorePath === 'string'
-          ? settings.ignorePath
-          : undefined
-      globalSettings.ignorePathResolveFrom =
-        settings.ignorePathResolveFrom === 'cwd' ||
-        settings.ignorePathResolveFrom === 'dir'
-          ? settings.ignorePathResolveFrom
-          : undefined
+      Object.assign(globalSettings, parseSettings(settings))
     }
 
     // Revalidate all open text documents
-    checkDocuments(...documents.all())
+    refreshDiagnostics()
   })
 
-  connection.onCodeAction((event) => {
+  connection.onCodeAction(async (event) => {
     /** @type {CodeAction[]} */
     const codeActions = []
 
@@ -579,52 +3834,150 @@ export function createUnifiedLanguageServer({
       return
     }
 
-    for (const diagnostic of event.context.diagnostics) {
-      // type-coverage:ignore-next-line
-      const data = /** @type {{expected?: unknown[]}} */ (diagnostic.data)
-      if (typeof data !== 'object' || !data) {
-        continue
-      }
+    const {diagnostics, only} = event.context
 
-      const {expected} = data
+    if (isCodeActionKindRequested(CodeActionKind.QuickFix, only)) {
+      // Clients that can’t resolve code actions get the edits of fixes right
+      // away, which needs the document to be processed again.
+      const resolveFixes =
+        !hasCodeActionResolveCapability &&
+        diagnostics.some((diagnostic) => {
+          const data = diagnosticToData(diagnostic)
+          return data !== undefined && Array.isArray(data.fixes)
+        })
+      const [file] = resolveFixes ? await processDocuments([document]) : []
 
-      if (!Array.isArray(expected)) {
-        continue
-      }
+      for (const diagnostic of diagnostics) {
+        const data = diagnosticToData(diagnostic)
+
+        if (!data) {
+          continue
+        }
+
+        const {expected, fixes} = data
 
-      const {end, start} = diagnostic.range
-      const actual = document.getText(diagnostic.range)
+        if (Array.isArray(fixes)) {
+          codeActions.push(
+            ...(hasCodeActionResolveCapability
+              ? createFixCodeActions(document, diagnostic, fixes)
+              : createResolvedFixCodeActions(file, document.uri, diagnostic))
+          )
+        }
 
-      for (const replacement of expected) {
-        if (typeof replacement !== 'string') {
+        if (!Array.isArray(expected)) {
           continue
         }
 
-        const codeAction = CodeAction.create(
-          replacement
-            ? start.line === end.line && start.character === end.character
-              ? 'Insert `' + replacement + '`'
-              : 'Replace `' + actual + '` with `' + replacement + '`'
-            : 'Remove `' + actual + '`',
-          {
-            changes: {
-              [document.uri]: [TextEdit.replace(diagnostic.range, replacement)]
-            }
-          },
-          CodeActionKind.QuickFix
-        )
+        const {end, start} = diagnostic.range
+        const actual = document.getText(diagnostic.range)
+
+        for (const replacement of expected) {
+          if (typeof replacement !== 'string') {
+            continue
+          }
 
-        if (expected.length === 1) {
-          codeAction.isPreferred = true
+          const codeAction = CodeAction.create(
+            replacement
+              ? start.line === end.line && start.character === end.character
+                ? 'Insert `' + replacement + '`'
+                : 'Replace `' + actual + '` with `' + replacement + '`'
+              : 'Remove `' + actual + '`',
+            {
+              changes: {
+                [document.uri]: [
+                  TextEdit.replace(diagnostic.range, replacement)
+                ]
+              }
+            },
+            CodeActionKind.QuickFix
+          )
+
+          if (expected.length === 1) {
+            codeAction.isPreferred = true
+          }
+
+          codeActions.push(codeAction)
         }
+      }
 
-        codeActions.push(codeAction)
+      codeActions.push(
+        ...(await createDisableCodeActions(document, diagnostics))
+      )
+    }
+
+    // Fixing everything is slow, so only do it when explicitly requested.
+    if (only && isCodeActionKindRequested(CodeActionKind.SourceFixAll, only)) {
+      const edits = await fixAll(document)
+
+      if (edits.length > 0) {
+        codeActions.push(
+          CodeAction.create(
+            'Fix all auto-fixable problems',
+            {changes: {[document.uri]: edits}},
+            CodeActionKind.SourceFixAll
+          )
+        )
       }
     }
 
     return codeActions
   })
 
+  connection.onCodeActionResolve(async (codeAction) => {
+    // type-coverage:ignore-next-line
+    const data = /** @type {FixData | undefined} */ (codeAction.data)
+
+    // Other code actions are complete.
+    if (!data) {
+      return codeAction
+    }
+
+    const document = documents.get(data.uri)
+
+    // The fix can’t be found if the document was closed or changed.
+    if (!document || document.version !== data.version) {
+      return codeAction
+    }
+
+    const [file] = await processDocuments([document])
+    const message =
+      file &&
+      file.messages.find((message) =>
+        isSameDiagnostic(vfileMessageToDiagnostic(message), data.diagnostic)
+      )
+    const fix = message && vfileMessageToFixes(message)[data.index]
+
+    if (file && fix) {
+      codeAction.edit = fixToWorkspaceEdit(fix, file, document.uri)
+    }
+
+    return codeAction
+  })
+
+  connection.onExecuteCommand(async (event) => {
+    if (event.command !== fixAllCommand) {
+      return
+    }
+
+    /** @type {unknown} */
+    const uri = event.arguments ? event.arguments[0] : undefined
+    const document = typeof uri === 'string' ? documents.get(uri) : undefined
+
+    if (!document) {
+      return
+    }
+
+    const edits = await fixAll(document)
+
+    if (edits.length > 0) {
+      await connection.workspace.applyEdit({
+        label: 'Fix all auto-fixable problems',
+        edit: {changes: {[document.uri]: edits}}
+      })
+    }
+  })
+
   documents.listen(connection)
+  notebooks.listen(connection)
   connection.listen()
 }
@@ -1,6 +1,8 @@
 /**
+ * @typedef {import('vscode-languageserver').CodeAction} CodeAction
  * @typedef {import('vscode-languageserver').ConfigurationParams} ConfigurationParams
  * @typedef {import('vscode-languageserver').ProtocolConnection} ProtocolConnection
+ * @typedef {import('vscode-languageserver').PublishDiagnosticsParams} PublishDiagnosticsParams
  * @typedef {import('../lib/index.js').UnifiedLanguageServerSettings} UnifiedLanguageServerSettings
  */
 
@@ -12,22 +14,46 @@ import {afterEach, test} from 'node:test'
 import {fileURLToPath} from 'node:url'
 import {
   createProtocolConnection,
+  ApplyWorkspaceEditRequest,
   CodeActionRequest,
+  CodeActionResolveRequest,
   ConfigurationRequest,
+  DiagnosticRefreshRequest,
+  DiagnosticSeverity,
+  DiagnosticTag,
   DidChangeConfigurationNotification,
+  DidChangeTextDocumentNotification,
   DidChangeWorkspaceFoldersNotification,
   DidChangeWatchedFilesNotification,
+  DidCloseNotebookDocumentNotification,
   DidCloseTextDocumentNotification,
+  DidOpenNotebookDocumentNotification,
   DidOpenTextDocumentNotification,
+  DocumentDiagnosticRequest,
   DocumentFormattingRequest,
+  DocumentLinkRequest,
+  DocumentRangeFormattingRequest,
+  DocumentRangesFormattingRequest,
+  DocumentSymbolRequest,
+  ExecuteCommandRequest,
+  FileChangeType,
+  FoldingRangeRequest,
+  HoverRequest,
   LogMessageNotification,
+  NotebookCellKind,
   InitializedNotification,
   InitializeRequest,
   IPCMessageReader,
   IPCMessageWriter,
   PublishDiagnosticsNotification,
+  Range,
   RegistrationRequest,
-  ShowMessageRequest
+  SelectionRangeRequest,
+  ShowMessageRequest,
+  TextDocumentSaveReason,
+  WillSaveTextDocumentWaitUntilRequest,
+  WorkDoneProgress,
+  WorkspaceDiagnosticRequest
 } from 'vscode-languageserver/node.js'
 
 /** @type {ProtocolConnection} */
@@ -36,9 +62,30 @@ let connection
 const testremarkrcPath = new URL('.testremarkrc.json', import.meta.url)
 afterEach(() => fs.rm(testremarkrcPath, {force: true}))
 
+const testremarkrcYamlPath = new URL('.testremarkrc.yml', import.meta.url)
+afterEach(() => fs.rm(testremarkrcYamlPath, {force: true}))
+
+const testremarkJsonPath = new URL('testremark.json', import.meta.url)
+afterEach(() => fs.rm(testremarkJsonPath, {force: true}))
+
+const testrehypeJsonPath = new URL('testrehype.json', import.meta.url)
+afterEach(() => fs.rm(testrehypeJsonPath, {force: true}))
+
 const testremarkignorePath = new URL('.testremarkignore', import.meta.url)
 afterEach(() => fs.rm(testremarkignorePath, {force: true}))
 
+const testNodeModulesPath = new URL(
+  'folder-with-package-json/node_modules/',
+  import.meta.url
+)
+afterEach(() => fs.rm(testNodeModulesPath, {force: true, recursive: true}))
+
+const brokenPackagePath = new URL(
+  'folder-with-broken-package-json/',
+  import.meta.url
+)
+afterEach(() => fs.rm(brokenPackagePath, {force: true, recursive: true}))
+
 afterEach(() => {
   connection?.dispose()
 })
@@ -59,12 +106,22 @@ test('`initialize`', async () => {
     initializeResponse,
     {
       capabilities: {
-        textDocumentSync: 1,
+        textDocumentSync: {openClose: true, change: 2, willSaveWaitUntil: true},
+        notebookDocumentSync: {
+          notebookSelector: [{notebook: '*', cells: [{language: 'markdown'}]}]
+        },
         documentFormattingProvider: true,
+        documentRangeFormattingProvider: {rangesSupport: true},
+        documentLinkProvider: {resolveProvider: false},
+        documentSymbolProvider: true,
+        foldingRangeProvider: true,
+        hoverProvider: true,
+        selectionRangeProvider: true,
         codeActionProvider: {
-          codeActionKinds: ['quickfix'],
+          codeActionKinds: ['quickfix', 'source.fixAll'],
           resolveProvider: true
-        }
+        },
+        executeCommandProvider: {commands: ['remark.fixAll']}
       }
     },
     'should emit an introduction on `initialize`'
@@ -88,12 +145,22 @@ test('`initialize` workspace capabilities', async () => {
     initializeResponse,
     {
       capabilities: {
-        textDocumentSync: 1,
+        textDocumentSync: {openClose: true, change: 2, willSaveWaitUntil: true},
+        notebookDocumentSync: {
+          notebookSelector: [{notebook: '*', cells: [{language: 'markdown'}]}]
+        },
         documentFormattingProvider: true,
+        documentRangeFormattingProvider: {rangesSupport: true},
+        documentLinkProvider: {resolveProvider: false},
+        documentSymbolProvider: true,
+        foldingRangeProvider: true,
+        hoverProvider: true,
+        selectionRangeProvider: true,
         codeActionProvider: {
-          codeActionKinds: ['quickfix'],
+          codeActionKinds: ['quickfix', 'source.fixAll'],
           resolveProvider: true
         },
+        executeCommandProvider: {commands: ['remark.fixAll']},
         workspace: {
           workspaceFolders: {supported: true, changeNotifications: true}
         }
@@ -103,6 +170,26 @@ test('`initialize` workspace capabilities', async () => {
   )
 })
 
+test('`initialize` w/o `languageIds`', async () => {
+  startLanguageServer('rehype.js')
+
+  const initializeResponse = await connection.sendRequest(
+    InitializeRequest.type,
+    {
+      processId: null,
+      rootUri: null,
+      capabilities: {},
+      workspaceFolders: null
+    }
+  )
+
+  assert.equal(
+    initializeResponse.capabilities.notebookDocumentSync,
+    undefined,
+    'should not synchronize notebooks w/o `languageIds`'
+  )
+})
+
 test('`textDocument/didOpen`, `textDocument/didClose` (and diagnostics)', async () => {
   startLanguageServer('remark-with-warnings.js')
   await connection.sendRequest(InitializeRequest.type, {
@@ -196,393 +283,742 @@ test('`textDocument/didOpen`, `textDocument/didClose` (and diagnostics)', async
   )
 })
 
-test('workspace configuration `requireConfig`', async () => {
-  startLanguageServer('remark-with-warnings.js')
+test('`textDocument/publishDiagnostics` w/ related information and tags', async () => {
+  startLanguageServer('remark-with-related.js')
+  const uri = new URL('lsp.md', import.meta.url).href
 
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
     capabilities: {
-      workspace: {configuration: true}
+      textDocument: {
+        publishDiagnostics: {
+          relatedInformation: true,
+          tagSupport: {
+            valueSet: [DiagnosticTag.Unnecessary, DiagnosticTag.Deprecated]
+          }
+        }
+      }
     },
     workspaceFolders: null
   })
-  await new Promise((resolve) => {
-    connection.onRequest(RegistrationRequest.type, resolve)
-    connection.sendNotification(InitializedNotification.type, {})
-  })
-
-  /** @type {ConfigurationParams | undefined} */
-  let configRequest
-  let requireConfig = false
-  connection.onRequest(ConfigurationRequest.type, (request) => {
-    configRequest = request
-    return [{requireConfig}]
-  })
-  const uri = new URL('lsp.md', import.meta.url).href
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
+  const diagnosticsPromise = createOnNotificationPromise(
     PublishDiagnosticsNotification.type
   )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: '[a]: b\n[a]: c\n'
+    }
   })
-  const openDiagnostics = await openDiagnosticsPromise
-  assert.notEqual(
-    openDiagnostics.diagnostics.length,
-    0,
-    'should emit diagnostics on `textDocument/didOpen`'
-  )
+  const diagnostics = await diagnosticsPromise
+
   assert.deepEqual(
-    configRequest,
-    {items: [{scopeUri: uri, section: 'remark'}]},
-    'should request configurations for the open file'
+    diagnostics.diagnostics,
+    [
+      {
+        range: Range.create(1, 0, 1, 6),
+        message: 'Unexpected duplicate definition',
+        severity: 2,
+        relatedInformation: [
+          {
+            location: {uri, range: Range.create(0, 0, 0, 6)},
+            message: 'First definition here'
+          },
+          {
+            location: {
+              uri: new URL('other.md', import.meta.url).href,
+              range: Range.create(1, 2, 1, 2)
+            },
+            message: 'Also defined here'
+          }
+        ]
+      },
+      {
+        range: Range.create(0, 0, 0, 6),
+        message: 'Unexpected deprecated syntax',
+        severity: 2,
+        tags: [DiagnosticTag.Deprecated]
+      },
+      {
+        range: Range.create(1, 0, 1, 6),
+        message: 'Unexpected unused definition',
+        severity: 2,
+        tags: [DiagnosticTag.Unnecessary]
+      }
+    ],
+    'should add related information and supported tags'
   )
+})
 
-  configRequest = undefined
-  const cachedOpenDiagnosticsPromise = createOnNotificationPromise(
+test('`textDocument/publishDiagnostics` w/o related information and tags', async () => {
+  startLanguageServer('remark-with-related.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {textDocument: {publishDiagnostics: {}}},
+    workspaceFolders: null
+  })
+
+  const diagnosticsPromise = createOnNotificationPromise(
     PublishDiagnosticsNotification.type
   )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: '[a]: b\n[a]: c\n'
+    }
   })
-  await cachedOpenDiagnosticsPromise
-  assert.equal(
-    configRequest,
-    undefined,
-    'should cache workspace configurations'
+  const diagnostics = await diagnosticsPromise
+
+  assert.deepEqual(
+    diagnostics.diagnostics.map((diagnostic) => Object.keys(diagnostic)),
+    [
+      ['range', 'message', 'severity'],
+      ['range', 'message', 'severity'],
+      ['range', 'message', 'severity']
+    ],
+    'should not add related information and tags if unsupported'
   )
+})
 
-  const closeDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+test('`textDocument/diagnostic`', async () => {
+  startLanguageServer('remark-with-warnings.js')
+  const initializeResponse = await connection.sendRequest(
+    InitializeRequest.type,
+    {
+      processId: null,
+      rootUri: null,
+      capabilities: {
+        textDocument: {diagnostic: {}},
+        workspace: {diagnostics: {refreshSupport: true}}
+      },
+      workspaceFolders: null
+    }
   )
-  connection.sendNotification(DidCloseTextDocumentNotification.type, {
-    textDocument: {uri}
-  })
-  await closeDiagnosticsPromise
-  const reopenDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+
+  assert.deepEqual(
+    initializeResponse.capabilities.diagnosticProvider,
+    {interFileDependencies: false, workspaceDiagnostics: false},
+    'should advertise pull diagnostics if the client supports them'
   )
+
+  const uri = new URL('lsp.md', import.meta.url).href
+
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
     textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
   })
-  await reopenDiagnosticsPromise
+
+  const report = await connection.sendRequest(DocumentDiagnosticRequest.type, {
+    textDocument: {uri}
+  })
+  assert.equal(report.kind, 'full', 'should emit a full report')
+  assert.ok(report.resultId, 'should emit a result id')
+  assert.equal(report.items.length, 8, 'should emit diagnostics')
+
+  const unchangedReport = await connection.sendRequest(
+    DocumentDiagnosticRequest.type,
+    {textDocument: {uri}, previousResultId: report.resultId}
+  )
   assert.deepEqual(
-    configRequest,
-    {items: [{scopeUri: uri, section: 'remark'}]},
-    'should clear the cache if the file is opened'
+    unchangedReport,
+    {kind: 'unchanged', resultId: report.resultId},
+    'should emit an unchanged report if nothing changed'
   )
 
-  configRequest = undefined
-  const changeConfigurationDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  await new Promise((resolve) => {
+    connection.onRequest(DiagnosticRefreshRequest.type, resolve)
+    connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+      changes: []
+    })
+  })
+
+  const refreshedReport = await connection.sendRequest(
+    DocumentDiagnosticRequest.type,
+    {textDocument: {uri}, previousResultId: report.resultId}
   )
-  requireConfig = true
-  connection.sendNotification(DidChangeConfigurationNotification.type, {
-    settings: {}
+  assert.equal(
+    refreshedReport.kind,
+    'full',
+    'should emit a full report after a refresh'
+  )
+  assert.notEqual(
+    refreshedReport.resultId,
+    report.resultId,
+    'should emit a new result id after a refresh'
+  )
+
+  connection.sendNotification(DidCloseTextDocumentNotification.type, {
+    textDocument: {uri}
   })
-  const changeConfigurationDiagnostics =
-    await changeConfigurationDiagnosticsPromise
-  assert.deepEqual(
-    configRequest,
-    {items: [{scopeUri: uri, section: 'remark'}]},
-    'should clear the cache if the configuration changed'
+
+  const closedReport = await connection.sendRequest(
+    DocumentDiagnosticRequest.type,
+    {textDocument: {uri}}
   )
   assert.deepEqual(
-    {uri, version: 1, diagnostics: []},
-    changeConfigurationDiagnostics,
-    'should not emit diagnostics if requireConfig is false'
+    closedReport,
+    {kind: 'full', items: []},
+    'should emit an empty report for unsynchronized documents'
   )
 })
 
-test('global configuration `requireConfig`', async () => {
+test('`textDocument/diagnostic` w/o refresh support', async () => {
   startLanguageServer('remark-with-warnings.js')
-
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
-    capabilities: {},
+    capabilities: {textDocument: {diagnostic: {}}},
     workspaceFolders: null
   })
 
   const uri = new URL('lsp.md', import.meta.url).href
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
-  )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
     textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
   })
-  const openDiagnostics = await openDiagnosticsPromise
-  assert.notEqual(
-    openDiagnostics.diagnostics.length,
-    0,
-    'should emit diagnostics on `textDocument/didOpen`'
-  )
 
-  const changeConfigurationDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
-  )
+  const report = await connection.sendRequest(DocumentDiagnosticRequest.type, {
+    textDocument: {uri}
+  })
+
   connection.sendNotification(DidChangeConfigurationNotification.type, {
-    settings: {requireConfig: true}
+    settings: {}
   })
-  const changeConfigurationDiagnostics =
-    await changeConfigurationDiagnosticsPromise
-  assert.deepEqual(
-    {uri, version: 1, diagnostics: []},
-    changeConfigurationDiagnostics,
-    'should emit empty diagnostics if requireConfig is true without config'
-  )
 
-  await fs.writeFile(testremarkrcPath, '{}\n')
-  const watchedFileDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  const changedReport = await connection.sendRequest(
+    DocumentDiagnosticRequest.type,
+    {textDocument: {uri}, previousResultId: report.resultId}
   )
-  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
-    changes: []
-  })
-  const watchedFileDiagnostics = await watchedFileDiagnosticsPromise
   assert.equal(
-    0,
-    watchedFileDiagnostics.diagnostics.length,
-    'should emit diagnostics if requireConfig is true with config'
+    changedReport.kind,
+    'full',
+    'should emit a full report after the configuration changed'
   )
-})
 
-test('workspace configuration `ignorePath`', async () => {
-  const workspace = new URL('./', import.meta.url)
-  await fs.writeFile(testremarkignorePath, 'lsp.md\n')
-  startLanguageServer('remark-with-warnings.js')
+  const outsideUri = new URL('../../outside.md', import.meta.url).href
 
-  await connection.sendRequest(InitializeRequest.type, {
-    processId: null,
-    rootUri: workspace.href,
-    capabilities: {workspace: {configuration: true}},
-    workspaceFolders: null
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: outsideUri,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
   })
+
+  const outsideReport = await connection.sendRequest(
+    DocumentDiagnosticRequest.type,
+    {textDocument: {uri: outsideUri}}
+  )
+  assert.equal(outsideReport.kind, 'full')
+  assert.deepEqual(
+    outsideReport.items,
+    [],
+    'should emit an empty report for documents outside of workspace'
+  )
+})
+
+test('`workspace/diagnostic`', async () => {
+  const workspace = new URL('folder-with-markdown/', import.meta.url)
+  startLanguageServer('remark-with-extensions.js')
+  const initializeResponse = await connection.sendRequest(
+    InitializeRequest.type,
+    {
+      processId: null,
+      rootUri: null,
+      capabilities: {
+        textDocument: {diagnostic: {}},
+        workspace: {configuration: true}
+      },
+      workspaceFolders: [{uri: workspace.href, name: ''}]
+    }
+  )
+
+  assert.deepEqual(
+    initializeResponse.capabilities.diagnosticProvider,
+    {interFileDependencies: false, workspaceDiagnostics: true},
+    'should advertise workspace diagnostics if `extensions` are given'
+  )
+
   await new Promise((resolve) => {
     connection.onRequest(RegistrationRequest.type, resolve)
     connection.sendNotification(InitializedNotification.type, {})
   })
 
-  /** @type {Record<string, unknown>} */
-  let configuration = {ignorePathResolveFrom: 'cwd'}
-  connection.onRequest(ConfigurationRequest.type, () => [configuration])
+  let workspaceDiagnostics = true
+  connection.onRequest(ConfigurationRequest.type, () => [
+    {workspaceDiagnostics}
+  ])
 
-  const uri = new URL('lsp.md', workspace).href
+  /** @type {unknown[]} */
+  const progress = []
+  connection.onProgress(WorkDoneProgress.type, 'a', (value) => {
+    progress.push(value)
+  })
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
-  )
-  connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  const report = await connection.sendRequest(WorkspaceDiagnosticRequest.type, {
+    previousResultIds: [],
+    workDoneToken: 'a'
   })
-  const openDiagnostics = await openDiagnosticsPromise
-  assert.notEqual(
-    openDiagnostics.diagnostics.length,
-    0,
-    'should emit diagnostics when `ignorePath` is not set'
-  )
 
-  configuration = {
-    ignorePath: '.testremarkignore',
-    ignorePathResolveFrom: 'invalid'
-  }
-  const changeDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  assert.deepEqual(
+    report.items
+      .map((item) => {
+        assert.equal(item.kind, 'full')
+        return {
+          uri: item.uri,
+          messages: item.items.map((diagnostic) => diagnostic.message)
+        }
+      })
+      .sort((a, b) => a.uri.localeCompare(b.uri)),
+    [
+      {uri: new URL('folder/file.md', workspace).href, messages: ['file']},
+      {uri: new URL('readme.md', workspace).href, messages: ['readme']}
+    ],
+    'should emit diagnostics for files matching `extensions`'
   )
+  assert.deepEqual(
+    progress,
+    [
+      {kind: 'begin', title: 'Checking workspace', percentage: 0},
+      {kind: 'report', percentage: 100},
+      {kind: 'end'}
+    ],
+    'should report progress'
+  )
+
+  const previousResultIds = report.items.map((item) => ({
+    uri: item.uri,
+    value: /** @type {string} */ (item.resultId)
+  }))
+
+  const unchangedReport = await connection.sendRequest(
+    WorkspaceDiagnosticRequest.type,
+    {previousResultIds}
+  )
+
+  assert.deepEqual(
+    unchangedReport.items.map((item) => item.kind),
+    ['unchanged', 'unchanged'],
+    'should emit unchanged reports if nothing changed'
+  )
+
+  workspaceDiagnostics = false
   connection.sendNotification(DidChangeConfigurationNotification.type, {
     settings: {}
   })
-  const changeDiagnostics = await changeDiagnosticsPromise
+
+  const disabledReport = await connection.sendRequest(
+    WorkspaceDiagnosticRequest.type,
+    {previousResultIds}
+  )
+
   assert.deepEqual(
-    changeDiagnostics,
-    {uri, version: 1, diagnostics: []},
-    'should emit empty diagnostics when `ignorePath` matches the file'
+    disabledReport,
+    {items: []},
+    'should not emit diagnostics if `workspaceDiagnostics` is off'
   )
 })
 
-test('global configuration `ignorePath`', async () => {
-  const workspace = new URL('./', import.meta.url)
-  await fs.writeFile(testremarkignorePath, 'lsp.md\n')
-  startLanguageServer('remark-with-warnings.js')
+test('`textDocument/didOpen` w/ documents that are not files', async () => {
+  startLanguageServer('remark-with-warnings.js', '../')
+  const uri = 'untitled:Untitled-1'
 
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
-    rootUri: workspace.href,
+    rootUri: null,
     capabilities: {},
     workspaceFolders: null
   })
 
-  const uri = new URL('lsp.md', workspace).href
+  await fs.writeFile(testremarkJsonPath, '{"plugins": ["./one-error.js"]}\n')
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
+  const untitledDiagnosticsPromise = createOnNotificationPromise(
     PublishDiagnosticsNotification.type
   )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
     textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
   })
-  const openDiagnostics = await openDiagnosticsPromise
-  assert.notEqual(
-    openDiagnostics.diagnostics.length,
-    0,
-    'should emit diagnostics when `ignorePath` is not set'
+  const untitledDiagnostics = await untitledDiagnosticsPromise
+
+  assert.equal(untitledDiagnostics.uri, uri)
+  assert.deepEqual(
+    untitledDiagnostics.diagnostics.map(
+      (diagnostic) => diagnostic.message.split('\n')[0]
+    ),
+    [
+      'info',
+      'warning',
+      'error',
+      'node',
+      'position',
+      'point',
+      'nothing',
+      'note'
+    ],
+    'should check documents that are not files w/o configuration files'
   )
 
-  const changeDiagnosticsPromise = createOnNotificationPromise(
+  const fileUri = new URL('lsp.md', import.meta.url).href
+  const fileDiagnosticsPromise = createOnNotificationPromise(
     PublishDiagnosticsNotification.type
   )
-  connection.sendNotification(DidChangeConfigurationNotification.type, {
-    settings: {
-      ignorePath: '.testremarkignore',
-      ignorePathResolveFrom: 'cwd'
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: fileUri,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
     }
   })
-  const changeDiagnostics = await changeDiagnosticsPromise
+  const fileDiagnostics = await fileDiagnosticsPromise
+
+  assert.ok(
+    fileDiagnostics.diagnostics.some((diagnostic) =>
+      diagnostic.message.includes('Whoops!')
+    ),
+    'should check files w/ configuration files'
+  )
+
+  const codeActions = await connection.sendRequest(CodeActionRequest.type, {
+    textDocument: {uri},
+    range: Range.create(0, 0, 0, 0),
+    context: {
+      diagnostics: [
+        {
+          range: Range.create(0, 0, 0, 4),
+          message: 'Unexpected HTML',
+          source: 'remark-lint',
+          code: 'no-html'
+        }
+      ]
+    }
+  })
+
   assert.deepEqual(
-    changeDiagnostics,
-    {uri, version: 1, diagnostics: []},
-    'should emit empty diagnostics when `ignorePath` matches the file'
+    codeActions?.map((codeAction) => codeAction.title),
+    [
+      'Disable `no-html` for the next node',
+      'Disable `no-html` for the whole file'
+    ],
+    'should not disable rules in configuration files for documents that are not files'
   )
 })
 
-test('global configuration ignores invalid `ignorePath` types', async () => {
+test('`notebookDocument/didOpen`, `notebookDocument/didClose`', async () => {
   startLanguageServer('remark-with-warnings.js')
+  const uri = new URL('notebook.ipynb', import.meta.url).href
+  const cellUri = uri.replace(/^file:/, 'vscode-notebook-cell:')
+  const cells = [
+    {uri: cellUri + '#W0', languageId: 'markdown', version: 1, text: '# hi'},
+    {
+      uri: cellUri + '#W1',
+      languageId: 'markdown',
+      version: 1,
+      text: '# hey\n\n+ alpha\n'
+    }
+  ]
+  /** @type {import('vscode-languageserver').DidOpenNotebookDocumentParams} */
+  const openParameters = {
+    notebookDocument: {
+      uri,
+      notebookType: 'jupyter-notebook',
+      version: 1,
+      cells: cells.map((cell) => ({
+        kind: NotebookCellKind.Markup,
+        document: cell.uri
+      }))
+    },
+    cellTextDocuments: cells
+  }
+
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
     capabilities: {},
     workspaceFolders: null
   })
-  const uri = new URL('lsp.md', import.meta.url).href
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  const openDiagnosticsPromise = createOnNotificationsPromise(
+    PublishDiagnosticsNotification.type,
+    cells.length
   )
-  connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  connection.sendNotification(
+    DidOpenNotebookDocumentNotification.type,
+    openParameters
+  )
+  const openDiagnostics = await openDiagnosticsPromise
+
+  assert.deepEqual(
+    openDiagnostics
+      .map((result) => [
+        result.uri,
+        result.diagnostics.find((diagnostic) => diagnostic.message === 'error')
+          ?.range
+      ])
+      .sort(),
+    [
+      [cells[0].uri, Range.create(0, 2, 0, 4)],
+      [cells[1].uri, Range.create(0, 2, 0, 5)]
+    ],
+    'should emit diagnostics for each cell'
+  )
+
+  const closeDiagnosticsPromise = createOnNotificationsPromise(
+    PublishDiagnosticsNotification.type,
+    cells.length
+  )
+  connection.sendNotification(DidCloseNotebookDocumentNotification.type, {
+    notebookDocument: {uri},
+    cellTextDocuments: cells.map((cell) => ({uri: cell.uri}))
   })
-  await openDiagnosticsPromise
+  const closeDiagnostics = await closeDiagnosticsPromise
 
-  const changeDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  assert.deepEqual(
+    closeDiagnostics.map((result) => result.diagnostics),
+    [[], []],
+    'should emit empty diagnostics for each cell on `notebookDocument/didClose`'
   )
-  connection.sendNotification(DidChangeConfigurationNotification.type, {
-    settings: {ignorePath: 42, ignorePathResolveFrom: 'invalid'}
+
+  await fs.writeFile(testremarkJsonPath, '{"plugins": ["./one-error.js"]}\n')
+  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+    changes: [{uri: testremarkJsonPath.href, type: FileChangeType.Created}]
   })
-  const changeDiagnostics = await changeDiagnosticsPromise
-  assert.notEqual(
-    changeDiagnostics.diagnostics.length,
-    0,
-    'should ignore invalid `ignorePath` and process normally'
+
+  const configDiagnosticsPromise = createOnNotificationsPromise(
+    PublishDiagnosticsNotification.type,
+    cells.length
+  )
+  connection.sendNotification(
+    DidOpenNotebookDocumentNotification.type,
+    openParameters
+  )
+  const configDiagnostics = await configDiagnosticsPromise
+
+  assert.deepEqual(
+    configDiagnostics.map((result) =>
+      result.diagnostics.some((diagnostic) =>
+        diagnostic.message.includes('Whoops!')
+      )
+    ),
+    [true, true],
+    'should use the path of the notebook to find configuration files'
+  )
+
+  const codeActions = await connection.sendRequest(CodeActionRequest.type, {
+    textDocument: {uri: cells[0].uri},
+    range: Range.create(0, 0, 0, 0),
+    context: {
+      diagnostics: [
+        {
+          range: Range.create(0, 0, 0, 4),
+          message: 'Unexpected HTML',
+          source: 'remark-lint',
+          code: 'no-html'
+        }
+      ]
+    }
+  })
+
+  assert.deepEqual(
+    codeActions?.map((codeAction) => codeAction.title),
+    [
+      'Disable `no-html` for the next node',
+      'Disable `no-html` for the whole file',
+      'Disable `no-html` in `testremark.json`'
+    ],
+    'should disable rules in configuration files of notebooks'
   )
 })
 
-test('unified-engine errors', async () => {
-  startLanguageServer('misconfigured.js')
+test('`workspace/diagnostic` w/ documents that are not files', async () => {
+  const workspace = new URL('folder-with-markdown/', import.meta.url)
+  const remoteWorkspace = 'vscode-vfs://github/unifiedjs/example'
+  const uri = remoteWorkspace + '/readme.md'
+  startLanguageServer('remark-with-extensions.js')
+
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
-    capabilities: {},
-    workspaceFolders: null
+    capabilities: {
+      textDocument: {diagnostic: {}},
+      workspace: {configuration: true}
+    },
+    workspaceFolders: [
+      {uri: remoteWorkspace, name: ''},
+      {uri: workspace.href, name: ''}
+    ]
   })
-  const uri = new URL('lsp.md', import.meta.url).href
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
-  )
+  await new Promise((resolve) => {
+    connection.onRequest(RegistrationRequest.type, resolve)
+    connection.sendNotification(InitializedNotification.type, {})
+  })
+
+  connection.onRequest(ConfigurationRequest.type, () => [
+    {workspaceDiagnostics: true}
+  ])
+
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {
-      uri,
-      languageId: 'markdown',
-      version: 1,
-      text: '# hi'
-    }
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+
+  const report = await connection.sendRequest(DocumentDiagnosticRequest.type, {
+    textDocument: {uri}
   })
-  const openDiagnostics = await openDiagnosticsPromise
 
+  assert(report.kind === 'full')
   assert.deepEqual(
-    openDiagnostics.diagnostics.map(({message, ...rest}) => ({
-      message: cleanStack(message, 3),
-      ...rest
-    })),
-    [
-      {
-        message:
-          'Missing `processor`\n' +
-          'Error: Missing `processor`\n' +
-          '    at engine (index.js:1:1)',
-        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
-        severity: 1
-      }
-    ]
+    report.items.map((diagnostic) => diagnostic.message),
+    ['readme'],
+    'should check remote documents'
   )
-})
 
-test('uninstalled processor so `window/showMessageRequest`', async () => {
-  startLanguageServer('missing-package.js')
+  const workspaceReport = await connection.sendRequest(
+    WorkspaceDiagnosticRequest.type,
+    {previousResultIds: []}
+  )
+
+  assert.ok(
+    workspaceReport.items.length > 0 &&
+      workspaceReport.items.every((item) =>
+        item.uri.startsWith(workspace.href)
+      ),
+    'should only search workspace folders on the file system'
+  )
+})
 
+test('`textDocument/didChange` (debounce and superseded checks)', async () => {
+  startLanguageServer('remark-with-runs.js')
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
-    capabilities: {},
+    capabilities: {workspace: {configuration: true}},
     workspaceFolders: null
   })
 
-  const messageRequestPromise = createOnRequestPromise(ShowMessageRequest.type)
+  /** @type {((release: () => void) => void) | undefined} */
+  let onHeldConfiguration
+  connection.onRequest(ConfigurationRequest.type, (request) => {
+    const result = request.items.map(() => ({}))
+    const held = onHeldConfiguration
+
+    if (!held) return result
+
+    onHeldConfiguration = undefined
+    return new Promise((resolve) => {
+      held(() => resolve(result))
+    })
+  })
+
+  const debounced = new URL('debounced.md', import.meta.url).href
+  const debouncedPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
     textDocument: {
-      uri: new URL('lsp.md', import.meta.url).href,
+      uri: debounced,
       languageId: 'markdown',
       version: 1,
-      text: '# hi'
+      text: 'a'
     }
   })
-  const messageRequest = await messageRequestPromise
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri: debounced, version: 2},
+    contentChanges: [{text: 'b'}]
+  })
+  const debouncedDiagnostics = await debouncedPromise
 
   assert.deepEqual(
-    messageRequest,
     {
-      type: 3,
-      message:
-        'Cannot turn on language server without `xxx-missing-yyy` locally. Run `npm install xxx-missing-yyy` to enable it',
-      actions: []
+      version: debouncedDiagnostics.version,
+      messages: debouncedDiagnostics.diagnostics.map((d) => d.message)
     },
-    'should emit a `window/showMessageRequest` when the processor can’t be found locally'
+    {version: 2, messages: ['b 1']},
+    'should debounce changes'
   )
-})
 
-test('uninstalled processor w/ `defaultProcessor`', async () => {
-  startLanguageServer('missing-package-with-default.js')
+  const changed = new URL('changed.md', import.meta.url).href
+  /** @type {Promise<() => void>} */
+  let heldPromise = new Promise((resolve) => {
+    onHeldConfiguration = resolve
+  })
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri: changed, languageId: 'markdown', version: 1, text: 'c'}
+  })
+  // The check of version 1 now waits for its settings.
+  let release = await heldPromise
+  const changedPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri: changed, version: 2},
+    contentChanges: [{text: 'd'}]
+  })
+  release()
+  const changedDiagnostics = await changedPromise
 
-  await connection.sendRequest(InitializeRequest.type, {
-    processId: null,
-    rootUri: null,
-    capabilities: {},
-    workspaceFolders: null
+  assert.deepEqual(
+    {
+      version: changedDiagnostics.version,
+      messages: changedDiagnostics.diagnostics.map((d) => d.message)
+    },
+    {version: 2, messages: ['d 2']},
+    'should skip checks of versions that changed before processing'
+  )
+
+  const closed = new URL('closed.md', import.meta.url).href
+  heldPromise = new Promise((resolve) => {
+    onHeldConfiguration = resolve
+  })
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri: closed, languageId: 'markdown', version: 1, text: 'e'}
+  })
+  release = await heldPromise
+  const closedPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidCloseTextDocumentNotification.type, {
+    textDocument: {uri: closed}
   })
+  const closedDiagnostics = await closedPromise
+  release()
 
-  const logPromise = createOnNotificationPromise(LogMessageNotification.type)
+  assert.deepEqual(
+    {uri: closedDiagnostics.uri, diagnostics: closedDiagnostics.diagnostics},
+    {uri: closed, diagnostics: []},
+    'should reset diagnostics of closed documents'
+  )
+
+  const next = new URL('next.md', import.meta.url).href
+  const nextPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {
-      uri: new URL('lsp.md', import.meta.url).href,
-      languageId: 'markdown',
-      version: 1,
-      text: '# hi'
-    }
+    textDocument: {uri: next, languageId: 'markdown', version: 1, text: 'f'}
   })
-  const log = await logPromise
+  const nextDiagnostics = await nextPromise
 
   assert.deepEqual(
-    cleanStack(log.message, 2).replace(/(imported from )[^\r\n]+/, '$1zzz'),
-    "Cannot find `xxx-missing-yyy` locally but using `defaultProcessor`, original error:\nError: Cannot find package 'xxx-missing-yyy' imported from zzz",
-    'should work w/ `defaultProcessor`'
+    {
+      uri: nextDiagnostics.uri,
+      messages: nextDiagnostics.diagnostics.map((d) => d.message)
+    },
+    {uri: next, messages: ['f 3']},
+    'should skip checks of documents that closed before processing'
   )
 })
 
-test('`textDocument/formatting`', async () => {
-  startLanguageServer('remark.js')
-
+test('`textDocument/didChange` (incremental)', async () => {
+  startLanguageServer('remark-with-delay.js')
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
@@ -590,131 +1026,3232 @@ test('`textDocument/formatting`', async () => {
     workspaceFolders: null
   })
 
-  connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {
-      uri: new URL('bad.md', import.meta.url).href,
-      languageId: 'markdown',
-      version: 1,
-      text: '   #   hi  \n'
-    }
-  })
+  const uri = new URL('lsp.md', import.meta.url).href
 
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
     textDocument: {
-      uri: new URL('good.md', import.meta.url).href,
+      uri,
       languageId: 'markdown',
       version: 1,
-      text: '# hi\n'
+      text: 'alpha\nbravo'
+    }
+  })
+  await openDiagnosticsPromise
+
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri, version: 2},
+    contentChanges: [
+      {range: Range.create(0, 0, 0, 5), text: 'charlie'},
+      {range: Range.create(1, 5, 1, 5), text: '!'}
+    ]
+  })
+  const changeDiagnostics = await changeDiagnosticsPromise
+
+  assert.deepEqual(
+    changeDiagnostics.diagnostics.map((diagnostic) => diagnostic.message),
+    ['charlie\nbravo!'],
+    'should apply incremental changes'
+  )
+})
+
+test('`textDocument/diagnostic` (stale results)', async () => {
+  startLanguageServer('remark-with-delay.js')
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {textDocument: {diagnostic: {}}},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: 'a'}
+  })
+
+  const changedPromise = connection.sendRequest(
+    DocumentDiagnosticRequest.type,
+    {textDocument: {uri}}
+  )
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri, version: 2},
+    contentChanges: [{text: 'b'}]
+  })
+
+  await assert.rejects(
+    changedPromise,
+    {code: -32_802, data: {retriggerRequest: true}},
+    'should cancel requests for documents that changed'
+  )
+
+  const closedPromise = connection.sendRequest(DocumentDiagnosticRequest.type, {
+    textDocument: {uri}
+  })
+  connection.sendNotification(DidCloseTextDocumentNotification.type, {
+    textDocument: {uri}
+  })
+
+  await assert.rejects(
+    closedPromise,
+    {code: -32_802, data: {retriggerRequest: true}},
+    'should cancel requests for documents that closed'
+  )
+})
+
+test('configuration `severity`', async () => {
+  startLanguageServer('remark-with-rules.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {
+      severity: {
+        '*': 'warning',
+        'remark-lint:*': 'hint',
+        'no-html': 'error',
+        'remark-lint:no-empty': 'off',
+        'retext-*:*': 'information',
+        'no-undefined-references': 'nope',
+        'final-newline': 'off'
+      },
+      fixOnSave: true
+    }
+  })
+
+  const diagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  const diagnostics = await diagnosticsPromise
+
+  assert.deepEqual(
+    diagnostics.diagnostics.map((diagnostic) => [
+      diagnostic.message,
+      diagnostic.severity
+    ]),
+    [
+      ['Unexpected HTML', DiagnosticSeverity.Error],
+      ['Unexpected reference', DiagnosticSeverity.Hint],
+      ['Unexpected spelling', DiagnosticSeverity.Information],
+      ['Unexpected thing', DiagnosticSeverity.Warning]
+    ],
+    'should override the severity of diagnostics by rule'
+  )
+
+  const hover = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri},
+    position: {line: 0, character: 4}
+  })
+  assert.deepEqual(
+    hover,
+    null,
+    'should not show messages of rules that are `off` on `textDocument/hover`'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionRequest.type, {
+      textDocument: {uri},
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 4}},
+      context: {diagnostics: [], only: ['source.fixAll']}
+    }),
+    [],
+    'should not fix rules that are `off` w/ `source.fixAll`'
+  )
+
+  let applied = false
+  const disposable = connection.onRequest(
+    ApplyWorkspaceEditRequest.type,
+    () => {
+      applied = true
+      return {applied: true}
+    }
+  )
+  await connection.sendRequest(ExecuteCommandRequest.type, {
+    command: 'remark.fixAll',
+    arguments: [uri]
+  })
+  disposable.dispose()
+  assert.equal(
+    applied,
+    false,
+    'should not fix rules that are `off` w/ `workspace/executeCommand`'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(WillSaveTextDocumentWaitUntilRequest.type, {
+      textDocument: {uri},
+      reason: TextDocumentSaveReason.Manual
+    }),
+    [],
+    'should not fix rules that are `off` w/ `fixOnSave`'
+  )
+
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {fixOnSave: true}
+  })
+
+  assert.deepEqual(
+    await connection.sendRequest(WillSaveTextDocumentWaitUntilRequest.type, {
+      textDocument: {uri},
+      reason: TextDocumentSaveReason.Manual
+    }),
+    [
+      {
+        range: {start: {line: 0, character: 4}, end: {line: 0, character: 4}},
+        newText: '\n'
+      }
+    ],
+    'should fix rules that are not `off`'
+  )
+})
+
+test('workspace configuration `requireConfig`', async () => {
+  startLanguageServer('remark-with-warnings.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {
+      workspace: {configuration: true}
+    },
+    workspaceFolders: null
+  })
+  await new Promise((resolve) => {
+    connection.onRequest(RegistrationRequest.type, resolve)
+    connection.sendNotification(InitializedNotification.type, {})
+  })
+
+  /** @type {ConfigurationParams | undefined} */
+  let configRequest
+  let requireConfig = false
+  connection.onRequest(ConfigurationRequest.type, (request) => {
+    configRequest = request
+    return [{requireConfig}]
+  })
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+  assert.notEqual(
+    openDiagnostics.diagnostics.length,
+    0,
+    'should emit diagnostics on `textDocument/didOpen`'
+  )
+  assert.deepEqual(
+    configRequest,
+    {items: [{scopeUri: uri, section: 'remark'}]},
+    'should request configurations for the open file'
+  )
+
+  configRequest = undefined
+  const cachedOpenDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  await cachedOpenDiagnosticsPromise
+  assert.equal(
+    configRequest,
+    undefined,
+    'should cache workspace configurations'
+  )
+
+  const closeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidCloseTextDocumentNotification.type, {
+    textDocument: {uri}
+  })
+  await closeDiagnosticsPromise
+  const reopenDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  await reopenDiagnosticsPromise
+  assert.deepEqual(
+    configRequest,
+    {items: [{scopeUri: uri, section: 'remark'}]},
+    'should clear the cache if the file is opened'
+  )
+
+  configRequest = undefined
+  const changeConfigurationDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  requireConfig = true
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {}
+  })
+  const changeConfigurationDiagnostics =
+    await changeConfigurationDiagnosticsPromise
+  assert.deepEqual(
+    configRequest,
+    {items: [{scopeUri: uri, section: 'remark'}]},
+    'should clear the cache if the configuration changed'
+  )
+  assert.deepEqual(
+    {uri, version: 1, diagnostics: []},
+    changeConfigurationDiagnostics,
+    'should not emit diagnostics if requireConfig is false'
+  )
+})
+
+test('global configuration `requireConfig`', async () => {
+  startLanguageServer('remark-with-warnings.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+  assert.notEqual(
+    openDiagnostics.diagnostics.length,
+    0,
+    'should emit diagnostics on `textDocument/didOpen`'
+  )
+
+  const changeConfigurationDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {requireConfig: true}
+  })
+  const changeConfigurationDiagnostics =
+    await changeConfigurationDiagnosticsPromise
+  assert.deepEqual(
+    {uri, version: 1, diagnostics: []},
+    changeConfigurationDiagnostics,
+    'should emit empty diagnostics if requireConfig is true without config'
+  )
+
+  await fs.writeFile(testremarkrcPath, '{}\n')
+  const watchedFileDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+    changes: []
+  })
+  const watchedFileDiagnostics = await watchedFileDiagnosticsPromise
+  assert.equal(
+    0,
+    watchedFileDiagnostics.diagnostics.length,
+    'should emit diagnostics if requireConfig is true with config'
+  )
+})
+
+test('workspace configuration `ignorePath`', async () => {
+  const workspace = new URL('./', import.meta.url)
+  await fs.writeFile(testremarkignorePath, 'lsp.md\n')
+  startLanguageServer('remark-with-warnings.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: workspace.href,
+    capabilities: {workspace: {configuration: true}},
+    workspaceFolders: null
+  })
+  await new Promise((resolve) => {
+    connection.onRequest(RegistrationRequest.type, resolve)
+    connection.sendNotification(InitializedNotification.type, {})
+  })
+
+  /** @type {Record<string, unknown>} */
+  let configuration = {ignorePathResolveFrom: 'cwd'}
+  connection.onRequest(ConfigurationRequest.type, () => [configuration])
+
+  const uri = new URL('lsp.md', workspace).href
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+  assert.notEqual(
+    openDiagnostics.diagnostics.length,
+    0,
+    'should emit diagnostics when `ignorePath` is not set'
+  )
+
+  configuration = {
+    ignorePath: '.testremarkignore',
+    ignorePathResolveFrom: 'invalid'
+  }
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {}
+  })
+  const changeDiagnostics = await changeDiagnosticsPromise
+  assert.deepEqual(
+    changeDiagnostics,
+    {uri, version: 1, diagnostics: []},
+    'should emit empty diagnostics when `ignorePath` matches the file'
+  )
+})
+
+test('global configuration `ignorePath`', async () => {
+  const workspace = new URL('./', import.meta.url)
+  await fs.writeFile(testremarkignorePath, 'lsp.md\n')
+  startLanguageServer('remark-with-warnings.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: workspace.href,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('lsp.md', workspace).href
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+  assert.notEqual(
+    openDiagnostics.diagnostics.length,
+    0,
+    'should emit diagnostics when `ignorePath` is not set'
+  )
+
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {
+      ignorePath: '.testremarkignore',
+      ignorePathResolveFrom: 'cwd'
+    }
+  })
+  const changeDiagnostics = await changeDiagnosticsPromise
+  assert.deepEqual(
+    changeDiagnostics,
+    {uri, version: 1, diagnostics: []},
+    'should emit empty diagnostics when `ignorePath` matches the file'
+  )
+})
+
+test('global configuration ignores invalid `ignorePath` types', async () => {
+  startLanguageServer('remark-with-warnings.js')
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  await openDiagnosticsPromise
+
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {ignorePath: 42, ignorePathResolveFrom: 'invalid'}
+  })
+  const changeDiagnostics = await changeDiagnosticsPromise
+  assert.notEqual(
+    changeDiagnostics.diagnostics.length,
+    0,
+    'should ignore invalid `ignorePath` and process normally'
+  )
+})
+
+test('unified-engine errors', async () => {
+  startLanguageServer('misconfigured.js')
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+
+  assert.deepEqual(
+    openDiagnostics.diagnostics.map(({message, ...rest}) => ({
+      message: cleanStack(message, 3),
+      ...rest
+    })),
+    [
+      {
+        message:
+          'Missing `processor`\n' +
+          'Error: Missing `processor`\n' +
+          '    at engine (index.js:1:1)',
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+        severity: 1
+      }
+    ]
+  )
+})
+
+test('uninstalled processor so `window/showMessageRequest`', async () => {
+  startLanguageServer('missing-package.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const messageRequestPromise = createOnRequestPromise(ShowMessageRequest.type)
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  const messageRequest = await messageRequestPromise
+
+  assert.deepEqual(
+    messageRequest,
+    {
+      type: 3,
+      message:
+        'Cannot turn on language server without `xxx-missing-yyy` locally. Run `npm install xxx-missing-yyy` to enable it',
+      actions: []
+    },
+    'should emit a `window/showMessageRequest` when the processor can’t be found locally'
+  )
+})
+
+test('uninstalled processor (cached until dependencies change)', async () => {
+  startLanguageServer('missing-package.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  let messageRequests = 0
+  connection.onRequest(ShowMessageRequest.type, () => {
+    messageRequests++
+    return null
+  })
+
+  const uri = new URL('lsp.md', import.meta.url).href
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+  })
+  await openDiagnosticsPromise
+  assert.equal(messageRequests, 1)
+
+  for (const [name, expected] of [
+    ['other.md', 1],
+    ['node_modules/xxx-missing-yyy/package.json', 2],
+    ['package.json', 3],
+    ['.xxx-missing-yyyignore', 4],
+    ['.xxx-missing-yyyrc.json', 5]
+  ]) {
+    const diagnosticsPromise = createOnNotificationPromise(
+      PublishDiagnosticsNotification.type
+    )
+    connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+      changes: [{uri: new URL(name, import.meta.url).href, type: 2}]
+    })
+    // eslint-disable-next-line no-await-in-loop
+    await diagnosticsPromise
+    assert.equal(
+      messageRequests,
+      expected,
+      'should load the processor again if `' + name + '` changes'
+    )
+  }
+})
+
+test('configuration files (cached until they change)', async () => {
+  startLanguageServer('remark-with-warnings.js')
+  const uris = [
+    new URL('lsp.md', import.meta.url).href,
+    new URL('lsp2.md', import.meta.url).href
+  ]
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  /**
+   * @param {Array<PublishDiagnosticsParams>} results
+   */
+  function hasErrors(results) {
+    return results
+      .sort((a, b) => a.uri.localeCompare(b.uri))
+      .map((result) =>
+        result.diagnostics.some((diagnostic) =>
+          diagnostic.message.includes('Whoops!')
+        )
+      )
+  }
+
+  await fs.writeFile(testremarkJsonPath, '{"plugins": ["./one-error.js"]}\n')
+
+  const openDiagnosticsPromise = createOnNotificationsPromise(
+    PublishDiagnosticsNotification.type,
+    uris.length
+  )
+  for (const uri of uris) {
+    connection.sendNotification(DidOpenTextDocumentNotification.type, {
+      textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi'}
+    })
+  }
+
+  assert.deepEqual(
+    hasErrors(await openDiagnosticsPromise),
+    [true, true],
+    'should use configuration files'
+  )
+
+  await fs.writeFile(testremarkJsonPath, '{}\n')
+
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri: uris[0], version: 2},
+    contentChanges: [{text: '# hey'}]
+  })
+
+  assert.deepEqual(
+    hasErrors([await changeDiagnosticsPromise]),
+    [true],
+    'should cache configuration files'
+  )
+
+  const watchedFileDiagnosticsPromise = createOnNotificationsPromise(
+    PublishDiagnosticsNotification.type,
+    uris.length
+  )
+  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+    changes: [{uri: testremarkJsonPath.href, type: FileChangeType.Changed}]
+  })
+
+  assert.deepEqual(
+    hasErrors(await watchedFileDiagnosticsPromise),
+    [false, false],
+    'should load configuration files again when they change'
+  )
+})
+
+test('uninstalled processor w/ `defaultProcessor`', async () => {
+  startLanguageServer('missing-package-with-default.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const logPromise = createOnNotificationPromise(LogMessageNotification.type)
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  const log = await logPromise
+
+  assert.deepEqual(
+    cleanStack(log.message, 2).replace(/(imported from )[^\r\n]+/, '$1zzz'),
+    "Cannot find `xxx-missing-yyy` locally but using `defaultProcessor`, original error:\nError: Cannot find package 'xxx-missing-yyy' imported from zzz",
+    'should work w/ `defaultProcessor`'
+  )
+})
+
+test('`processors`', async () => {
+  const workspace = new URL('folder-with-markdown/', import.meta.url)
+  startLanguageServer('remark-and-rehype.js')
+
+  const initializeResponse = await connection.sendRequest(
+    InitializeRequest.type,
+    {
+      processId: null,
+      rootUri: null,
+      capabilities: {textDocument: {diagnostic: {}}},
+      workspaceFolders: [{uri: workspace.href, name: ''}]
+    }
+  )
+  assert.deepEqual(
+    initializeResponse.capabilities.diagnosticProvider,
+    {interFileDependencies: false, workspaceDiagnostics: true},
+    'should advertise workspace diagnostics if any processor has `extensions`'
+  )
+  assert.deepEqual(
+    initializeResponse.capabilities.notebookDocumentSync,
+    {notebookSelector: [{notebook: '*', cells: [{language: 'html'}]}]},
+    'should synchronize notebook cells in the `languageIds` of processors'
+  )
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {workspaceDiagnostics: true}
+  })
+
+  const documents = [
+    {name: 'a.md', languageId: 'markdown', text: '# hi'},
+    {name: 'b.html', languageId: 'html', text: '<h1>hi</h1>'},
+    {name: 'c.html', languageId: 'plaintext', text: '<h1>hi</h1>'},
+    {name: 'd.txt', languageId: 'plaintext', text: '# hi'}
+  ]
+
+  for (const document of documents) {
+    connection.sendNotification(DidOpenTextDocumentNotification.type, {
+      textDocument: {
+        uri: new URL(document.name, workspace).href,
+        languageId: document.languageId,
+        version: 1,
+        text: document.text
+      }
+    })
+  }
+
+  /**
+   * @returns {Promise<Array<Array<string>>>}
+   */
+  async function getMessages() {
+    const reports = await Promise.all(
+      documents.map((document) =>
+        connection.sendRequest(DocumentDiagnosticRequest.type, {
+          textDocument: {uri: new URL(document.name, workspace).href}
+        })
+      )
+    )
+
+    return reports.map((report) => {
+      assert.equal(report.kind, 'full')
+      return report.items.map((diagnostic) => diagnostic.message.split('\n')[0])
+    })
+  }
+
+  assert.deepEqual(
+    await getMessages(),
+    [['remark'], ['rehype'], ['rehype'], ['remark']],
+    'should pick processors by language ID, then extension, then the first'
+  )
+
+  const report = await connection.sendRequest(WorkspaceDiagnosticRequest.type, {
+    previousResultIds: []
+  })
+
+  assert.deepEqual(
+    report.items
+      .map((item) => {
+        assert.equal(item.kind, 'full')
+        return {
+          uri: item.uri,
+          messages: item.items.map((diagnostic) => diagnostic.message)
+        }
+      })
+      .sort((a, b) => a.uri.localeCompare(b.uri)),
+    [{uri: new URL('index.html', workspace).href, messages: ['rehype']}],
+    'should check files in workspace folders with processors w/ `extensions`'
+  )
+
+  await fs.writeFile(testrehypeJsonPath, '{"plugins": ["./one-error.js"]}\n')
+  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+    changes: [{uri: testrehypeJsonPath.href, type: FileChangeType.Created}]
+  })
+
+  assert.deepEqual(
+    await getMessages(),
+    [['remark'], ['Cannot process file'], ['Cannot process file'], ['remark']],
+    'should use the configuration files of each processor'
+  )
+})
+
+test('`embeddedLanguage`', async () => {
+  startLanguageServer('remark-with-embedded-code.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {
+      textDocument: {publishDiagnostics: {relatedInformation: true}}
+    },
+    workspaceFolders: null
+  })
+
+  const diagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: [
+        '# hi',
+        '',
+        '```html',
+        '<h1>hey</h1>',
+        '```',
+        '',
+        '> ```markdown',
+        '> **yo**',
+        '> ```',
+        '',
+        '```js',
+        'x',
+        '```',
+        ''
+      ].join('\n')
+    }
+  })
+  const diagnostics = await diagnosticsPromise
+
+  assert.deepEqual(
+    diagnostics.diagnostics
+      .map((diagnostic) => ({
+        message: diagnostic.message,
+        range: diagnostic.range
+      }))
+      .sort(
+        (a, b) =>
+          a.range.start.line - b.range.start.line ||
+          a.range.start.character - b.range.start.character ||
+          a.message.localeCompare(b.message)
+      ),
+    [
+      {message: 'remark w/o place', range: Range.create(0, 0, 0, 0)},
+      {message: 'remark', range: Range.create(0, 2, 0, 4)},
+      {message: 'remark at point', range: Range.create(0, 2, 0, 2)},
+      {message: 'rehype w/o place', range: Range.create(2, 0, 4, 3)},
+      {message: 'rehype', range: Range.create(3, 4, 3, 7)},
+      {message: 'rehype at point', range: Range.create(3, 4, 3, 4)},
+      {message: 'remark w/o place', range: Range.create(6, 2, 8, 5)},
+      {message: 'remark', range: Range.create(7, 4, 7, 6)},
+      {message: 'remark at point', range: Range.create(7, 4, 7, 4)}
+    ],
+    'should check embedded code with the processor of its language'
+  )
+
+  const embeddedDiagnostic = diagnostics.diagnostics.find(
+    (diagnostic) =>
+      diagnostic.message === 'remark' && diagnostic.range.start.line === 7
+  )
+  assert.ok(embeddedDiagnostic)
+
+  assert.deepEqual(
+    embeddedDiagnostic.relatedInformation,
+    [
+      {
+        location: {uri, range: Range.create(7, 4, 7, 6)},
+        message: 'Text here'
+      },
+      {
+        location: {
+          uri: new URL('other.md', import.meta.url).href,
+          range: Range.create(0, 0, 0, 0)
+        },
+        message: 'Other'
+      }
+    ],
+    'should move related places of messages in embedded code'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionRequest.type, {
+      textDocument: {uri},
+      range: embeddedDiagnostic.range,
+      context: {diagnostics: [embeddedDiagnostic]}
+    }),
+    [
+      {
+        title: 'Fix remark',
+        kind: 'quickfix',
+        isPreferred: true,
+        edit: {
+          changes: {
+            [uri]: [{range: Range.create(7, 4, 7, 6), newText: 'fixed'}],
+            [new URL('other.md', import.meta.url).href]: [
+              {range: Range.create(0, 0, 0, 0), newText: ''}
+            ]
+          }
+        }
+      }
+    ],
+    'should move the edits of fixes of messages in embedded code'
+  )
+
+  await fs.writeFile(testremarkJsonPath, '{"plugins": ["./missing.js"]}\n')
+  const watchedFileDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+    changes: [{uri: testremarkJsonPath.href, type: FileChangeType.Created}]
+  })
+  await watchedFileDiagnosticsPromise
+
+  const configDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri, version: 2},
+    contentChanges: [{text: '```html\n<h1>hey</h1>\n```\n'}]
+  })
+  const configDiagnostics = await configDiagnosticsPromise
+
+  assert.deepEqual(
+    configDiagnostics.diagnostics.map(
+      (diagnostic) => diagnostic.message.split('\n')[0]
+    ),
+    ['Cannot process file'],
+    'should not check embedded code in documents that are not parsed'
+  )
+})
+
+test('`workers`', async () => {
+  startLanguageServer('remark-with-workers.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('lsp.md', import.meta.url).href
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '   #   hi'}
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+
+  assert.deepEqual(
+    openDiagnostics.diagnostics.map((diagnostic) => diagnostic.message),
+    ['worker thread'],
+    'should process files in workers'
+  )
+
+  const formatting = await connection.sendRequest(
+    DocumentFormattingRequest.type,
+    {textDocument: {uri}, options: {tabSize: 2, insertSpaces: true}}
+  )
+
+  assert.deepEqual(
+    formatting,
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 3}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 0, character: 5}, end: {line: 0, character: 7}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 0, character: 9}, end: {line: 0, character: 9}},
+        newText: '\n'
+      }
+    ],
+    'should format files in workers'
+  )
+
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeWatchedFilesNotification.type, {
+    changes: [{uri: new URL('package.json', import.meta.url).href, type: 2}]
+  })
+  const changeDiagnostics = await changeDiagnosticsPromise
+
+  assert.deepEqual(
+    changeDiagnostics.diagnostics.map((diagnostic) => diagnostic.message),
+    ['worker thread'],
+    'should process files in workers after dependencies change'
+  )
+
+  const uncloneableDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('uncloneable.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: 'uncloneable'
+    }
+  })
+  const uncloneableDiagnostics = await uncloneableDiagnosticsPromise
+
+  assert.equal(uncloneableDiagnostics.diagnostics.length, 1)
+  assert.equal(uncloneableDiagnostics.diagnostics[0].severity, 1)
+  assert.match(
+    uncloneableDiagnostics.diagnostics[0].message,
+    /could not be cloned/,
+    'should report files that cannot be passed between threads'
+  )
+})
+
+test('`workers` w/ `workspace/diagnostic`', async () => {
+  const workspace = new URL('folder-with-markdown/', import.meta.url)
+  startLanguageServer('remark-with-workers.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {textDocument: {diagnostic: {}}},
+    workspaceFolders: [{uri: workspace.href, name: ''}]
+  })
+  connection.sendNotification(DidChangeConfigurationNotification.type, {
+    settings: {workspaceDiagnostics: true}
+  })
+
+  const report = await connection.sendRequest(WorkspaceDiagnosticRequest.type, {
+    previousResultIds: []
+  })
+
+  assert.deepEqual(
+    report.items
+      .map((item) => {
+        assert.equal(item.kind, 'full')
+        return {
+          uri: item.uri,
+          messages: item.items.map((diagnostic) => diagnostic.message)
+        }
+      })
+      .sort((a, b) => a.uri.localeCompare(b.uri)),
+    [
+      {
+        uri: new URL('folder/file.md', workspace).href,
+        messages: ['worker thread']
+      },
+      {uri: new URL('readme.md', workspace).href, messages: ['worker thread']}
+    ],
+    'should process workspace folders in workers'
+  )
+})
+
+test('`workers` w/ uninstalled processor', async () => {
+  startLanguageServer('missing-package-with-workers.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const messageRequestPromise = createOnRequestPromise(ShowMessageRequest.type)
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  const messageRequest = await messageRequestPromise
+
+  assert.equal(
+    messageRequest.message,
+    'Cannot turn on language server without `xxx-missing-yyy` locally. Run `npm install xxx-missing-yyy` to enable it',
+    'should pass messages from workers to the client'
+  )
+})
+
+test('`workers` w/ `defaultProcessor`', async () => {
+  startLanguageServer('missing-package-with-default-and-workers.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const logPromise = createOnNotificationPromise(LogMessageNotification.type)
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  const log = await logPromise
+
+  assert.equal(
+    log.message.split('\n')[0],
+    'Cannot find `xxx-missing-yyy` locally but using `defaultProcessor`, original error:',
+    'should pass logs from workers to the client'
+  )
+})
+
+test('`timeout`', async () => {
+  startLanguageServer('remark-with-timeout.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('lsp.md', import.meta.url).href
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: 'hang'}
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+
+  assert.deepEqual(
+    openDiagnostics.diagnostics,
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+        message: 'Cannot process `test/lsp.md`: not done after 1000ms',
+        severity: 1
+      }
+    ],
+    'should report files that take too long'
+  )
+
+  const changeDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri, version: 2},
+    contentChanges: [{text: 'fine'}]
+  })
+  const changeDiagnostics = await changeDiagnosticsPromise
+
+  assert.deepEqual(
+    changeDiagnostics.diagnostics.map((diagnostic) => diagnostic.message),
+    ['fine'],
+    'should process files again afterwards'
+  )
+})
+
+test('`timeout` w/ `workers`', async () => {
+  startLanguageServer('remark-with-workers-and-timeout.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('lsp.md', import.meta.url).href
+  let version = 1
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version, text: ''}
+  })
+
+  for (const [text, expected] of [
+    ['loop', 'Cannot process `test/lsp.md`: not done after 1000ms'],
+    ['fine', 'fine'],
+    ['exit', 'Worker stopped with exit code 1'],
+    ['fine', 'fine'],
+    ['throw', 'Whoops!'],
+    ['fine', 'fine']
+  ]) {
+    const diagnosticsPromise = createOnNotificationPromise(
+      PublishDiagnosticsNotification.type
+    )
+    connection.sendNotification(DidChangeTextDocumentNotification.type, {
+      textDocument: {uri, version: ++version},
+      contentChanges: [{text}]
+    })
+    // eslint-disable-next-line no-await-in-loop
+    const diagnostics = await diagnosticsPromise
+
+    assert.deepEqual(
+      diagnostics.diagnostics.map(
+        (diagnostic) => diagnostic.message.split('\n')[0]
+      ),
+      [expected],
+      'should handle workers that `' + text + '`'
+    )
+  }
+})
+
+test('`textDocument/formatting`', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('bad.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '   #   hi  \n'
+    }
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('good.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('list.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '+ alpha\n+ bravo'
     }
   })
 
   const resultBad = await connection.sendRequest(
     DocumentFormattingRequest.type,
     {
-      textDocument: {uri: new URL('bad.md', import.meta.url).href},
-      options: {tabSize: 2, insertSpaces: true}
+      textDocument: {uri: new URL('bad.md', import.meta.url).href},
+      options: {tabSize: 2, insertSpaces: true}
+    }
+  )
+  assert.deepEqual(
+    resultBad,
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 3}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 0, character: 5}, end: {line: 0, character: 7}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 0, character: 9}, end: {line: 0, character: 11}},
+        newText: ''
+      }
+    ],
+    'should format bad documents on `textDocument/formatting`'
+  )
+
+  const resultList = await connection.sendRequest(
+    DocumentFormattingRequest.type,
+    {
+      textDocument: {uri: new URL('list.md', import.meta.url).href},
+      options: {tabSize: 2, insertSpaces: true}
+    }
+  )
+  assert.deepEqual(
+    resultList,
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 1, character: 0}, end: {line: 1, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 1, character: 7}, end: {line: 1, character: 7}},
+        newText: '\n'
+      }
+    ],
+    'should replace and insert text on `textDocument/formatting`'
+  )
+
+  const resultGood = await connection.sendRequest(
+    DocumentFormattingRequest.type,
+    {
+      textDocument: {uri: new URL('good.md', import.meta.url).href},
+      options: {tabSize: 2, insertSpaces: true}
+    }
+  )
+  assert.deepEqual(
+    resultGood,
+    null,
+    'should format good documents on `textDocument/formatting`'
+  )
+
+  const resultUnknown = await connection.sendRequest(
+    DocumentFormattingRequest.type,
+    {
+      textDocument: {uri: new URL('unknown.md', import.meta.url).href},
+      options: {tabSize: 2, insertSpaces: true}
+    }
+  )
+  assert.deepEqual(
+    resultUnknown,
+    null,
+    'should ignore unsynchronized documents on `textDocument/formatting`'
+  )
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('../../outside.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '   #   hi  \n'
+    }
+  })
+
+  const resultOutside = await connection.sendRequest(
+    DocumentFormattingRequest.type,
+    {
+      textDocument: {
+        uri: new URL('../../outside.md', import.meta.url).href
+      },
+      options: {tabSize: 2, insertSpaces: true}
+    }
+  )
+  assert.deepEqual(
+    resultOutside,
+    null,
+    'should ignore documents outside of workspace on `textDocument/formatting`'
+  )
+})
+
+test('`textDocument/formatting` w/ notebook cells', async () => {
+  startLanguageServer('remark.js')
+  const uri = new URL('notebook.ipynb', import.meta.url).href
+  const cellUri = uri.replace(/^file:/, 'vscode-notebook-cell:')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenNotebookDocumentNotification.type, {
+    notebookDocument: {
+      uri,
+      notebookType: 'jupyter-notebook',
+      version: 1,
+      cells: [
+        {kind: NotebookCellKind.Markup, document: cellUri + '#W0'},
+        {kind: NotebookCellKind.Markup, document: cellUri + '#W1'}
+      ]
+    },
+    cellTextDocuments: [
+      {
+        uri: cellUri + '#W0',
+        languageId: 'markdown',
+        version: 1,
+        text: '# hi\n'
+      },
+      {
+        uri: cellUri + '#W1',
+        languageId: 'markdown',
+        version: 1,
+        text: '+ alpha\n'
+      }
+    ]
+  })
+
+  const results = await Promise.all(
+    ['#W0', '#W1'].map((fragment) =>
+      connection.sendRequest(DocumentFormattingRequest.type, {
+        textDocument: {uri: cellUri + fragment},
+        options: {tabSize: 2, insertSpaces: true}
+      })
+    )
+  )
+
+  assert.deepEqual(
+    results,
+    [null, [{range: Range.create(0, 0, 0, 1), newText: '*'}]],
+    'should format each cell on its own'
+  )
+})
+
+test('`textDocument/rangeFormatting`', async () => {
+  startLanguageServer('remark.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+  const outsideUri = new URL('../../outside.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: 'Alpha\n=====\n\n+ bravo\n+ charlie\n\n__delta__\n'
+    }
+  })
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: outsideUri,
+      languageId: 'markdown',
+      version: 1,
+      text: '+ alpha\n'
+    }
+  })
+
+  /**
+   * @param {string} uri
+   * @param {[number, number, number, number]} range
+   */
+  function requestRangeFormatting(
+    uri,
+    [startLine, startCharacter, endLine, endCharacter]
+  ) {
+    return connection.sendRequest(DocumentRangeFormattingRequest.type, {
+      textDocument: {uri},
+      range: {
+        start: {line: startLine, character: startCharacter},
+        end: {line: endLine, character: endCharacter}
+      },
+      options: {tabSize: 2, insertSpaces: true}
+    })
+  }
+
+  assert.deepEqual(
+    await requestRangeFormatting(uri, [3, 2, 3, 4]),
+    [
+      {
+        range: {start: {line: 3, character: 0}, end: {line: 3, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 4, character: 0}, end: {line: 4, character: 1}},
+        newText: '*'
+      }
+    ],
+    'should format the top-level nodes in a range'
+  )
+
+  assert.deepEqual(
+    await requestRangeFormatting(uri, [6, 0, 6, 0]),
+    [
+      {
+        range: {start: {line: 6, character: 0}, end: {line: 6, character: 2}},
+        newText: '**'
+      },
+      {
+        range: {start: {line: 6, character: 7}, end: {line: 6, character: 9}},
+        newText: '**'
+      }
+    ],
+    'should format the top-level node at a cursor'
+  )
+
+  assert.deepEqual(
+    await requestRangeFormatting(uri, [0, 0, 3, 1]),
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+        newText: '# '
+      },
+      {
+        range: {start: {line: 1, character: 0}, end: {line: 2, character: 0}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 3, character: 0}, end: {line: 3, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 4, character: 0}, end: {line: 4, character: 1}},
+        newText: '*'
+      }
+    ],
+    'should format several top-level nodes in a range together'
+  )
+
+  assert.deepEqual(
+    await requestRangeFormatting(uri, [2, 0, 2, 0]),
+    [],
+    'should not format anything between nodes'
+  )
+
+  const referenceUri = new URL('reference.md', import.meta.url).href
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: referenceUri,
+      languageId: 'markdown',
+      version: 1,
+      text: 'See [docs][ref] and _x_.\n\n[ref]: https://example.com\n'
+    }
+  })
+
+  assert.deepEqual(
+    await requestRangeFormatting(referenceUri, [0, 0, 0, 24]),
+    [
+      {
+        range: {start: {line: 0, character: 20}, end: {line: 0, character: 21}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 0, character: 22}, end: {line: 0, character: 23}},
+        newText: '*'
+      }
+    ],
+    'should format nodes in the context of the whole document'
+  )
+
+  assert.equal(
+    await requestRangeFormatting(
+      new URL('unknown.md', import.meta.url).href,
+      [0, 0, 0, 0]
+    ),
+    null,
+    'should ignore unsynchronized documents'
+  )
+
+  assert.equal(
+    await requestRangeFormatting(outsideUri, [0, 0, 0, 0]),
+    null,
+    'should ignore documents outside of workspace'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(DocumentRangesFormattingRequest.type, {
+      textDocument: {uri},
+      ranges: [Range.create(0, 1, 0, 2), Range.create(6, 1, 6, 2)],
+      options: {tabSize: 2, insertSpaces: true}
+    }),
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+        newText: '# '
+      },
+      {
+        range: {start: {line: 0, character: 5}, end: {line: 1, character: 5}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 6, character: 0}, end: {line: 6, character: 2}},
+        newText: '**'
+      },
+      {
+        range: {start: {line: 6, character: 7}, end: {line: 6, character: 9}},
+        newText: '**'
+      }
+    ],
+    'should format the top-level nodes in several ranges on `textDocument/rangesFormatting`'
+  )
+})
+
+test('`textDocument/rangeFormatting` w/ generated nodes', async () => {
+  startLanguageServer('remark-with-tree-options.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: '+ alpha\n\n# generated\n\n+ bravo\n'
+    }
+  })
+
+  assert.deepEqual(
+    await connection.sendRequest(DocumentRangeFormattingRequest.type, {
+      textDocument: {uri},
+      range: Range.create(0, 0, 4, 7),
+      options: {tabSize: 2, insertSpaces: true}
+    }),
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 4, character: 0}, end: {line: 4, character: 1}},
+        newText: '*'
+      }
+    ],
+    'should not format nodes that are not in the document'
+  )
+})
+
+test('`textDocument/documentLink`', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: [
+        '[a](b.md) ![c](/d.png) [e](#f) [g](https://example.com/) [h](http://[)',
+        '',
+        '[i]: ../j.md#k',
+        ''
+      ].join('\n')
+    }
+  })
+
+  const result = await connection.sendRequest(DocumentLinkRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 9}},
+        target: new URL('b.md', import.meta.url).href
+      },
+      {
+        range: {start: {line: 0, character: 10}, end: {line: 0, character: 22}},
+        target: new URL('../d.png', import.meta.url).href
+      },
+      {
+        range: {start: {line: 0, character: 31}, end: {line: 0, character: 56}},
+        target: 'https://example.com/'
+      },
+      {
+        range: {start: {line: 2, character: 0}, end: {line: 2, character: 14}},
+        target: new URL('../j.md#k', import.meta.url).href
+      }
+    ],
+    'should return links on `textDocument/documentLink`'
+  )
+
+  const resultUnknown = await connection.sendRequest(DocumentLinkRequest.type, {
+    textDocument: {uri: new URL('unknown.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    resultUnknown,
+    null,
+    'should ignore unsynchronized documents on `textDocument/documentLink`'
+  )
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('../../outside.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '[a](b.md)\n'
+    }
+  })
+
+  const resultOutside = await connection.sendRequest(DocumentLinkRequest.type, {
+    textDocument: {uri: new URL('../../outside.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    resultOutside,
+    null,
+    'should ignore documents outside of workspace on `textDocument/documentLink`'
+  )
+})
+
+test('`textDocument/documentLink` w/ rehype', async () => {
+  startLanguageServer('rehype.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.html', import.meta.url).href,
+      languageId: 'html',
+      version: 1,
+      text: '<p><a href="b.html">c</a> <a>d</a> <img src="e.png"></p>\n'
+    }
+  })
+
+  const result = await connection.sendRequest(DocumentLinkRequest.type, {
+    textDocument: {uri: new URL('lsp.html', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [
+      {
+        range: {start: {line: 0, character: 3}, end: {line: 0, character: 25}},
+        target: new URL('b.html', import.meta.url).href
+      },
+      {
+        range: {start: {line: 0, character: 35}, end: {line: 0, character: 52}},
+        target: new URL('e.png', import.meta.url).href
+      }
+    ],
+    'should return links from elements on `textDocument/documentLink`'
+  )
+})
+
+test('`textDocument/documentLink` w/ generated nodes', async () => {
+  startLanguageServer('remark-with-tree-options.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# generated\n'
+    }
+  })
+
+  const result = await connection.sendRequest(DocumentLinkRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [],
+    'should skip generated nodes on `textDocument/documentLink`'
+  )
+})
+
+test('`textDocument/documentSymbol`', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# Alpha\n\ntext\n\n## Bravo ![image](a.png) `charlie`\n\n### Delta\n\n## Echo\n\n#\n'
+    }
+  })
+
+  const result = await connection.sendRequest(DocumentSymbolRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [
+      {
+        name: 'Alpha',
+        kind: 15,
+        range: {start: {line: 0, character: 0}, end: {line: 8, character: 7}},
+        selectionRange: {
+          start: {line: 0, character: 0},
+          end: {line: 0, character: 7}
+        },
+        children: [
+          {
+            name: 'Bravo charlie',
+            kind: 15,
+            range: {
+              start: {line: 4, character: 0},
+              end: {line: 6, character: 9}
+            },
+            selectionRange: {
+              start: {line: 4, character: 0},
+              end: {line: 4, character: 34}
+            },
+            children: [
+              {
+                name: 'Delta',
+                kind: 15,
+                range: {
+                  start: {line: 6, character: 0},
+                  end: {line: 6, character: 9}
+                },
+                selectionRange: {
+                  start: {line: 6, character: 0},
+                  end: {line: 6, character: 9}
+                },
+                children: []
+              }
+            ]
+          },
+          {
+            name: 'Echo',
+            kind: 15,
+            range: {
+              start: {line: 8, character: 0},
+              end: {line: 8, character: 7}
+            },
+            selectionRange: {
+              start: {line: 8, character: 0},
+              end: {line: 8, character: 7}
+            },
+            children: []
+          }
+        ]
+      },
+      {
+        name: 'heading',
+        kind: 15,
+        range: {start: {line: 10, character: 0}, end: {line: 10, character: 1}},
+        selectionRange: {
+          start: {line: 10, character: 0},
+          end: {line: 10, character: 1}
+        },
+        children: []
+      }
+    ],
+    'should return headings nested by depth on `textDocument/documentSymbol`'
+  )
+
+  const resultUnknown = await connection.sendRequest(
+    DocumentSymbolRequest.type,
+    {textDocument: {uri: new URL('unknown.md', import.meta.url).href}}
+  )
+  assert.deepEqual(
+    resultUnknown,
+    null,
+    'should ignore unsynchronized documents on `textDocument/documentSymbol`'
+  )
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('../../outside.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  const resultOutside = await connection.sendRequest(
+    DocumentSymbolRequest.type,
+    {textDocument: {uri: new URL('../../outside.md', import.meta.url).href}}
+  )
+  assert.deepEqual(
+    resultOutside,
+    null,
+    'should ignore documents outside of workspace on `textDocument/documentSymbol`'
+  )
+})
+
+test('`textDocument/documentSymbol` w/ `documentSymbols`', async () => {
+  startLanguageServer('remark-with-tree-options.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# generated\n\n* a\n* b\n\n## Alpha\n\n# generated\n\n* c\n'
+    }
+  })
+
+  const result = await connection.sendRequest(DocumentSymbolRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [
+      {
+        name: 'ab',
+        kind: 18,
+        range: {start: {line: 2, character: 0}, end: {line: 3, character: 3}},
+        selectionRange: {
+          start: {line: 2, character: 0},
+          end: {line: 3, character: 3}
+        },
+        children: [
+          {
+            name: 'a',
+            kind: 8,
+            range: {
+              start: {line: 2, character: 0},
+              end: {line: 2, character: 3}
+            },
+            selectionRange: {
+              start: {line: 2, character: 0},
+              end: {line: 2, character: 3}
+            },
+            children: []
+          },
+          {
+            name: 'b',
+            kind: 8,
+            range: {
+              start: {line: 3, character: 0},
+              end: {line: 3, character: 3}
+            },
+            selectionRange: {
+              start: {line: 3, character: 0},
+              end: {line: 3, character: 3}
+            },
+            children: []
+          }
+        ]
+      },
+      {
+        name: 'Alpha',
+        kind: 3,
+        range: {start: {line: 5, character: 0}, end: {line: 9, character: 3}},
+        selectionRange: {
+          start: {line: 5, character: 0},
+          end: {line: 5, character: 8}
+        },
+        children: [
+          {
+            name: 'c',
+            kind: 18,
+            range: {
+              start: {line: 9, character: 0},
+              end: {line: 9, character: 3}
+            },
+            selectionRange: {
+              start: {line: 9, character: 0},
+              end: {line: 9, character: 3}
+            },
+            children: [
+              {
+                name: 'c',
+                kind: 8,
+                range: {
+                  start: {line: 9, character: 0},
+                  end: {line: 9, character: 3}
+                },
+                selectionRange: {
+                  start: {line: 9, character: 0},
+                  end: {line: 9, character: 3}
+                },
+                children: []
+              }
+            ]
+          }
+        ]
+      }
+    ],
+    'should return configured nodes on `textDocument/documentSymbol`'
+  )
+})
+
+test('`textDocument/foldingRange`', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: [
+        '# Alpha',
+        '',
+        '> a',
+        '> b',
+        '',
+        '## Bravo',
+        '',
+        '* c',
+        '  * d',
+        '  * e',
+        '',
+        '```js',
+        'f',
+        '```',
+        '',
+        '<div>',
+        '</div>',
+        '',
+        '# Charlie',
+        'g',
+        ''
+      ].join('\n')
+    }
+  })
+
+  const result = await connection.sendRequest(FoldingRangeRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [
+      {startLine: 0, endLine: 16},
+      {startLine: 2, endLine: 3},
+      {startLine: 5, endLine: 16},
+      {startLine: 7, endLine: 9},
+      {startLine: 8, endLine: 9},
+      {startLine: 11, endLine: 13},
+      {startLine: 15, endLine: 16},
+      {startLine: 18, endLine: 19}
+    ],
+    'should return sections, block quotes, lists, code, and html on `textDocument/foldingRange`'
+  )
+
+  const resultUnknown = await connection.sendRequest(FoldingRangeRequest.type, {
+    textDocument: {uri: new URL('unknown.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    resultUnknown,
+    null,
+    'should ignore unsynchronized documents on `textDocument/foldingRange`'
+  )
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('../../outside.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n\nhi\n'
+    }
+  })
+
+  const resultOutside = await connection.sendRequest(FoldingRangeRequest.type, {
+    textDocument: {uri: new URL('../../outside.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    resultOutside,
+    null,
+    'should ignore documents outside of workspace on `textDocument/foldingRange`'
+  )
+})
+
+test('`textDocument/foldingRange` w/ `foldingRanges`', async () => {
+  startLanguageServer('remark-with-tree-options.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# Alpha\n\n* a\n* b\n\n# generated\n\n* c\n'
+    }
+  })
+
+  const result = await connection.sendRequest(FoldingRangeRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href}
+  })
+  assert.deepEqual(
+    result,
+    [{startLine: 0, endLine: 7}],
+    'should return configured folding ranges on `textDocument/foldingRange`'
+  )
+})
+
+test('`textDocument/hover`', async () => {
+  startLanguageServer('remark-with-hovers.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '## Alpha\n\nbravo\n'
+    }
+  })
+
+  const resultHeading = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 4}
+  })
+  assert.deepEqual(
+    resultHeading,
+    {
+      contents: {
+        kind: 'markdown',
+        value: 'Heading of depth 2\n\n---\n\n*Document*'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 8}}
+    },
+    'should combine hovers from plugins on `textDocument/hover`'
+  )
+
+  const resultParagraph = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 2, character: 0}
+  })
+  assert.deepEqual(
+    resultParagraph,
+    {
+      contents: {kind: 'markdown', value: '*Document*'},
+      range: {start: {line: 0, character: 0}, end: {line: 3, character: 0}}
+    },
+    'should return a hover from a plugin on `textDocument/hover`'
+  )
+
+  const resultNothing = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 10, character: 0}
+  })
+  assert.deepEqual(
+    resultNothing,
+    null,
+    'should return nothing w/o hovers on `textDocument/hover`'
+  )
+
+  const resultUnknown = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('unknown.md', import.meta.url).href},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    resultUnknown,
+    null,
+    'should ignore unsynchronized documents on `textDocument/hover`'
+  )
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('../../outside.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  const resultOutside = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('../../outside.md', import.meta.url).href},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    resultOutside,
+    null,
+    'should ignore documents outside of workspace on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/hover` w/o hovers', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  const result = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    result,
+    null,
+    'should return nothing if plugins add no hovers on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/hover` on messages', async () => {
+  startLanguageServer('remark-with-warnings.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  const result = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 3}
+  })
+  assert.deepEqual(
+    result,
+    {
+      contents: {
+        kind: 'markdown',
+        value:
+          'info\n\n---\n\nwarning\n\n---\n\nerror\n\n`b:a`\n\nExpected: `hello`\n\n[Documentation](d)'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 1, character: 0}}
+    },
+    'should return messages on `textDocument/hover`'
+  )
+
+  const resultStart = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    resultStart,
+    {
+      contents: {
+        kind: 'markdown',
+        value:
+          'info\n\n---\n\nwarning\n\n---\n\nnothing\n\n---\n\nnote\n\nThese are some additional notes'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 1, character: 0}}
+    },
+    'should return notes of messages on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/hover` on messages w/ `expected`', async () => {
+  startLanguageServer('code-actions.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  const result = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    result,
+    {
+      contents: {
+        kind: 'markdown',
+        value:
+          'Expected: `insert me`\n\n---\n\nExpected: `replacement`\n\n---\n\nExpected: nothing\n\n---\n\nExpected: `alternative a` or `alternative b`\n\n---\n\nExpected: `12`'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}}
+    },
+    'should return expected values of messages on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/hover` on messages w/ readme', async () => {
+  startLanguageServer('remark-with-lint.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '<div></div>\n'
+    }
+  })
+
+  const result = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 1}
+  })
+  assert.deepEqual(
+    result,
+    {
+      contents: {
+        kind: 'markdown',
+        value:
+          'Unexpected HTML, use markdown instead\n\n`remark-lint:no-html`\n\n`remark-lint` rule to warn when HTML is used.\n\n[Documentation](https://github.com/remarkjs/remark-lint/tree/main/packages/remark-lint-no-html#readme)'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 11}}
+    },
+    'should return an excerpt of the readme of a rule on `textDocument/hover`'
+  )
+
+  const resultCached = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    position: {line: 0, character: 1}
+  })
+  assert.deepEqual(
+    resultCached,
+    result,
+    'should reuse the readme on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/hover` on messages w/ readme w/o paragraph', async () => {
+  const packagePath = await createTestPackage(
+    'unified-language-server-test-rule'
+  )
+  await fs.writeFile(
+    new URL('readme.md', packagePath),
+    '# unified-language-server-test-rule\n\n* a\n'
+  )
+
+  startLanguageServer('remark-with-rule.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('folder-with-package-json/lsp.md', import.meta.url).href
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi\n'}
+  })
+
+  const result = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    result,
+    {
+      contents: {
+        kind: 'markdown',
+        value: 'Unexpected document\n\n`unified-language-server-test:rule`'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 1, character: 0}}
+    },
+    'should ignore readmes w/o paragraph on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/hover` on messages w/o readme of rule', async () => {
+  const sourcePath = await createTestPackage('unified-language-server-test')
+  await fs.writeFile(
+    new URL('readme.md', sourcePath),
+    '# unified-language-server-test\n\nNot about the rule.\n'
+  )
+  await createTestPackage('unified-language-server-test-rule')
+
+  startLanguageServer('remark-with-rule.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const uri = new URL('folder-with-package-json/lsp.md', import.meta.url).href
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# hi\n'}
+  })
+
+  const result = await connection.sendRequest(HoverRequest.type, {
+    textDocument: {uri},
+    position: {line: 0, character: 0}
+  })
+  assert.deepEqual(
+    result,
+    {
+      contents: {
+        kind: 'markdown',
+        value: 'Unexpected document\n\n`unified-language-server-test:rule`'
+      },
+      range: {start: {line: 0, character: 0}, end: {line: 1, character: 0}}
+    },
+    'should not show readmes of sources or other packages on `textDocument/hover`'
+  )
+})
+
+test('`textDocument/selectionRange`', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# Alpha *bravo*\n\ncharlie\n'
+    }
+  })
+
+  const result = await connection.sendRequest(SelectionRangeRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    positions: [
+      {line: 0, character: 10},
+      {line: 2, character: 3},
+      {line: 10, character: 0}
+    ]
+  })
+  assert.deepEqual(
+    result,
+    [
+      {
+        range: {start: {line: 0, character: 9}, end: {line: 0, character: 14}},
+        parent: {
+          range: {
+            start: {line: 0, character: 8},
+            end: {line: 0, character: 15}
+          },
+          parent: {
+            range: {
+              start: {line: 0, character: 0},
+              end: {line: 0, character: 15}
+            },
+            parent: {
+              range: {
+                start: {line: 0, character: 0},
+                end: {line: 3, character: 0}
+              }
+            }
+          }
+        }
+      },
+      {
+        range: {start: {line: 2, character: 0}, end: {line: 2, character: 7}},
+        parent: {
+          range: {start: {line: 0, character: 0}, end: {line: 3, character: 0}}
+        }
+      },
+      {
+        range: {start: {line: 10, character: 0}, end: {line: 10, character: 0}}
+      }
+    ],
+    'should return the ranges of ancestors on `textDocument/selectionRange`'
+  )
+
+  const resultUnknown = await connection.sendRequest(
+    SelectionRangeRequest.type,
+    {
+      textDocument: {uri: new URL('unknown.md', import.meta.url).href},
+      positions: [{line: 0, character: 0}]
+    }
+  )
+  assert.deepEqual(
+    resultUnknown,
+    null,
+    'should ignore unsynchronized documents on `textDocument/selectionRange`'
+  )
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('../../outside.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi\n'
+    }
+  })
+
+  const resultOutside = await connection.sendRequest(
+    SelectionRangeRequest.type,
+    {
+      textDocument: {uri: new URL('../../outside.md', import.meta.url).href},
+      positions: [{line: 0, character: 0}]
+    }
+  )
+  assert.deepEqual(
+    resultOutside,
+    null,
+    'should ignore documents outside of workspace on `textDocument/selectionRange`'
+  )
+})
+
+test('`textDocument/selectionRange` w/ generated nodes', async () => {
+  startLanguageServer('remark-with-tree-options.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# generated\n'
+    }
+  })
+
+  const result = await connection.sendRequest(SelectionRangeRequest.type, {
+    textDocument: {uri: new URL('lsp.md', import.meta.url).href},
+    positions: [{line: 0, character: 3}]
+  })
+  assert.deepEqual(
+    result,
+    [{range: {start: {line: 0, character: 0}, end: {line: 1, character: 0}}}],
+    'should skip generated nodes on `textDocument/selectionRange`'
+  )
+})
+
+test('`workspace/didChangeWatchedFiles`', async () => {
+  startLanguageServer('remark.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('a.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  await openDiagnosticsPromise
+
+  const changeWatchDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification('workspace/didChangeWatchedFiles', {
+    changes: [{uri: new URL('b.md', import.meta.url).href, type: 2}]
+  })
+  const changeWatchDiagnostics = await changeWatchDiagnosticsPromise
+
+  assert.deepEqual(
+    changeWatchDiagnostics,
+    {uri: new URL('a.md', import.meta.url).href, version: 1, diagnostics: []},
+    'should emit diagnostics for registered files on any `workspace/didChangeWatchedFiles`'
+  )
+})
+
+test('`initialize`, `textDocument/didOpen` (and a broken plugin)', async () => {
+  startLanguageServer('remark-with-error.js')
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: new URL('lsp.md', import.meta.url).href,
+      languageId: 'markdown',
+      version: 1,
+      text: '# hi'
+    }
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+
+  assert.deepEqual(
+    openDiagnostics.diagnostics.map(({message, ...rest}) => ({
+      message: cleanStack(message, 3),
+      ...rest
+    })),
+    [
+      {
+        message:
+          'Cannot process file\n' +
+          'Error: Whoops!\n' +
+          '    at oneError (one-error.js:1:1)',
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+        severity: 1
+      }
+    ],
+    'should show stack traces on crashes'
+  )
+})
+
+test('`textDocument/codeAction` (and diagnostics)', async () => {
+  startLanguageServer('code-actions.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  const openDiagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: 'actual content'
+    }
+  })
+  const openDiagnostics = await openDiagnosticsPromise
+
+  const codeActions = await connection.sendRequest(CodeActionRequest.type, {
+    textDocument: {uri},
+    range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+    context: {
+      diagnostics: openDiagnostics.diagnostics
+    }
+  })
+
+  assert.deepEqual(
+    codeActions,
+    [
+      {
+        title: 'Insert `insert me`',
+        edit: {
+          changes: {
+            [uri]: [
+              {
+                range: {
+                  start: {line: 0, character: 0},
+                  end: {line: 0, character: 0}
+                },
+                newText: 'insert me'
+              }
+            ]
+          }
+        },
+        kind: 'quickfix',
+        isPreferred: true
+      },
+      {
+        title: 'Replace `actual` with `replacement`',
+        edit: {
+          changes: {
+            [uri]: [
+              {
+                range: {
+                  start: {line: 0, character: 0},
+                  end: {line: 0, character: 6}
+                },
+                newText: 'replacement'
+              }
+            ]
+          }
+        },
+        kind: 'quickfix',
+        isPreferred: true
+      },
+      {
+        title: 'Remove `actual`',
+        edit: {
+          changes: {
+            [uri]: [
+              {
+                range: {
+                  start: {line: 0, character: 0},
+                  end: {line: 0, character: 6}
+                },
+                newText: ''
+              }
+            ]
+          }
+        },
+        kind: 'quickfix',
+        isPreferred: true
+      },
+      {
+        title: 'Replace `actual` with `alternative a`',
+        edit: {
+          changes: {
+            [uri]: [
+              {
+                range: {
+                  start: {line: 0, character: 0},
+                  end: {line: 0, character: 6}
+                },
+                newText: 'alternative a'
+              }
+            ]
+          }
+        },
+        kind: 'quickfix'
+      },
+      {
+        title: 'Replace `actual` with `alternative b`',
+        edit: {
+          changes: {
+            [uri]: [
+              {
+                range: {
+                  start: {line: 0, character: 0},
+                  end: {line: 0, character: 6}
+                },
+                newText: 'alternative b'
+              }
+            ]
+          }
+        },
+        kind: 'quickfix'
+      }
+    ],
+    'should emit quick fixes on a `textDocument/codeAction`'
+  )
+
+  const closedCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
+    {
+      textDocument: {uri: new URL('closed.md', import.meta.url).href},
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+      context: {diagnostics: []}
     }
   )
+  assert.equal(
+    closedCodeActions,
+    null,
+    'should not emit quick fixes for unsynchronized documents'
+  )
+})
+
+test('`textDocument/codeAction` w/ `source.fixAll`', async () => {
+  startLanguageServer('remark-with-fixes.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+  const fixedUri = new URL('fixed.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri,
+      languageId: 'markdown',
+      version: 1,
+      text: 'alpha    bravo teh'
+    }
+  })
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: fixedUri,
+      languageId: 'markdown',
+      version: 1,
+      text: 'alpha bravo\n'
+    }
+  })
+
+  const codeActions = await connection.sendRequest(CodeActionRequest.type, {
+    textDocument: {uri},
+    range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+    context: {diagnostics: [], only: ['source.fixAll']}
+  })
+
   assert.deepEqual(
-    resultBad,
+    codeActions,
     [
       {
-        range: {start: {line: 0, character: 0}, end: {line: 1, character: 0}},
-        newText: '# hi\n'
+        title: 'Fix all auto-fixable problems',
+        edit: {
+          changes: {
+            [uri]: [
+              {
+                range: {
+                  start: {line: 0, character: 6},
+                  end: {line: 0, character: 9}
+                },
+                newText: ''
+              },
+              {
+                range: {
+                  start: {line: 0, character: 18},
+                  end: {line: 0, character: 18}
+                },
+                newText: '\n'
+              }
+            ]
+          }
+        },
+        kind: 'source.fixAll'
       }
     ],
-    'should format bad documents on `textDocument/formatting`'
+    'should fix everything, until there is nothing left to fix'
   )
 
-  const resultGood = await connection.sendRequest(
-    DocumentFormattingRequest.type,
+  const sourceCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
     {
-      textDocument: {uri: new URL('good.md', import.meta.url).href},
-      options: {tabSize: 2, insertSpaces: true}
+      textDocument: {uri},
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+      context: {diagnostics: [], only: ['source']}
     }
   )
+
   assert.deepEqual(
-    resultGood,
-    null,
-    'should format good documents on `textDocument/formatting`'
+    sourceCodeActions?.map((codeAction) => {
+      assert('kind' in codeAction)
+      return codeAction.kind
+    }),
+    ['source.fixAll'],
+    'should fix everything when `source` actions are requested'
   )
 
-  const resultUnknown = await connection.sendRequest(
-    DocumentFormattingRequest.type,
+  const quickFixCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
     {
-      textDocument: {uri: new URL('unknown.md', import.meta.url).href},
-      options: {tabSize: 2, insertSpaces: true}
+      textDocument: {uri},
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+      context: {diagnostics: [], only: ['quickfix']}
     }
   )
+
   assert.deepEqual(
-    resultUnknown,
-    null,
-    'should ignore unsynchronized documents on `textDocument/formatting`'
+    quickFixCodeActions,
+    [],
+    'should not fix everything when only quick fixes are requested'
   )
 
-  connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {
-      uri: new URL('../../outside.md', import.meta.url).href,
-      languageId: 'markdown',
-      version: 1,
-      text: '   #   hi  \n'
+  const fixedCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
+    {
+      textDocument: {uri: fixedUri},
+      range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+      context: {diagnostics: [], only: ['source.fixAll']}
     }
+  )
+
+  assert.deepEqual(
+    fixedCodeActions,
+    [],
+    'should not fix everything if there is nothing to fix'
+  )
+})
+
+test('`textDocument/codeAction` w/ fixes, `codeAction/resolve`', async () => {
+  startLanguageServer('remark-with-fix-edits.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {
+      textDocument: {codeAction: {resolveSupport: {properties: ['edit']}}}
+    },
+    workspaceFolders: null
   })
 
-  const resultOutside = await connection.sendRequest(
-    DocumentFormattingRequest.type,
-    {
-      textDocument: {
-        uri: new URL('../../outside.md', import.meta.url).href
+  const diagnosticsPromise = createOnNotificationPromise(
+    PublishDiagnosticsNotification.type
+  )
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: 'Hello\n'}
+  })
+  const {diagnostics} = await diagnosticsPromise
+
+  assert.deepEqual(
+    diagnostics,
+    [
+      {
+        range: Range.create(0, 0, 1, 0),
+        message: 'Unexpected greeting',
+        severity: 2,
+        data: {fixes: ['Turn into reference', 'Greet in other file']}
+      }
+    ],
+    'should send the titles of fixes with diagnostics'
+  )
+
+  const codeActions = await connection.sendRequest(CodeActionRequest.type, {
+    textDocument: {uri},
+    range: Range.create(0, 0, 0, 0),
+    context: {diagnostics}
+  })
+
+  assert.deepEqual(
+    codeActions,
+    [
+      {
+        title: 'Turn into reference',
+        kind: 'quickfix',
+        data: {uri, version: 1, diagnostic: diagnostics[0], index: 0}
       },
-      options: {tabSize: 2, insertSpaces: true}
+      {
+        title: 'Greet in other file',
+        kind: 'quickfix',
+        data: {uri, version: 1, diagnostic: diagnostics[0], index: 1}
+      }
+    ],
+    'should create code actions for fixes w/o edits'
+  )
+
+  const preferredCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
+    {
+      textDocument: {uri},
+      range: Range.create(0, 0, 0, 0),
+      context: {
+        diagnostics: [{...diagnostics[0], data: {fixes: ['Only fix']}}]
+      }
     }
   )
+
+  assert.deepEqual(
+    preferredCodeActions?.map((codeAction) =>
+      'isPreferred' in codeAction ? codeAction.isPreferred : undefined
+    ),
+    [true],
+    'should prefer the only fix of a diagnostic'
+  )
+
+  const [reference, other] =
+    /** @type {Array<Omit<CodeAction, 'data'> & {data: Record<string, unknown>}>} */ (
+      codeActions
+    )
+
   assert.deepEqual(
-    resultOutside,
-    null,
-    'should ignore documents outside of workspace on `textDocument/formatting`'
+    await connection.sendRequest(CodeActionResolveRequest.type, reference),
+    {
+      ...reference,
+      edit: {
+        changes: {
+          [uri]: [
+            {range: Range.create(0, 0, 0, 5), newText: '[Hello][a]'},
+            {
+              range: Range.create(1, 0, 1, 0),
+              newText: '\n[a]: https://example.com\n'
+            }
+          ]
+        }
+      }
+    },
+    'should add the edits of a fix on `codeAction/resolve`'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionResolveRequest.type, other),
+    {
+      ...other,
+      edit: {
+        changes: {
+          [new URL('other.md', import.meta.url).href]: [
+            {range: Range.create(0, 0, 0, 0), newText: 'Hi\n'}
+          ]
+        }
+      }
+    },
+    'should support edits in other files'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionResolveRequest.type, {
+      title: 'Something else'
+    }),
+    {title: 'Something else'},
+    'should ignore code actions that are not fixes'
+  )
+
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionResolveRequest.type, {
+      ...reference,
+      data: {
+        ...reference.data,
+        diagnostic: {...diagnostics[0], message: 'Unexpected farewell'}
+      }
+    }),
+    {
+      ...reference,
+      data: {
+        ...reference.data,
+        diagnostic: {...diagnostics[0], message: 'Unexpected farewell'}
+      }
+    },
+    'should not add edits if the message is no longer there'
+  )
+
+  connection.sendNotification(DidChangeTextDocumentNotification.type, {
+    textDocument: {uri, version: 2},
+    contentChanges: [{text: 'Hi\n'}]
+  })
+
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionResolveRequest.type, reference),
+    reference,
+    'should not add edits if the document changed'
   )
 })
 
-test('`workspace/didChangeWatchedFiles`', async () => {
-  startLanguageServer('remark.js')
+test('`textDocument/codeAction` w/ fixes w/o `codeAction/resolve`', async () => {
+  startLanguageServer('remark-with-fix-edits.js')
+  const uri = new URL('lsp.md', import.meta.url).href
 
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
     rootUri: null,
-    capabilities: {},
+    capabilities: {
+      textDocument: {codeAction: {resolveSupport: {properties: ['command']}}}
+    },
     workspaceFolders: null
   })
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
+  const diagnosticsPromise = createOnNotificationPromise(
     PublishDiagnosticsNotification.type
   )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {
-      uri: new URL('a.md', import.meta.url).href,
-      languageId: 'markdown',
-      version: 1,
-      text: '# hi'
-    }
+    textDocument: {uri, languageId: 'markdown', version: 1, text: 'Hello\n'}
   })
-  await openDiagnosticsPromise
+  const {diagnostics} = await diagnosticsPromise
 
-  const changeWatchDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  assert.deepEqual(
+    await connection.sendRequest(CodeActionRequest.type, {
+      textDocument: {uri},
+      range: Range.create(0, 0, 0, 0),
+      context: {diagnostics}
+    }),
+    [
+      {
+        title: 'Turn into reference',
+        kind: 'quickfix',
+        edit: {
+          changes: {
+            [uri]: [
+              {range: Range.create(0, 0, 0, 5), newText: '[Hello][a]'},
+              {
+                range: Range.create(1, 0, 1, 0),
+                newText: '\n[a]: https://example.com\n'
+              }
+            ]
+          }
+        }
+      },
+      {
+        title: 'Greet in other file',
+        kind: 'quickfix',
+        edit: {
+          changes: {
+            [new URL('other.md', import.meta.url).href]: [
+              {range: Range.create(0, 0, 0, 0), newText: 'Hi\n'}
+            ]
+          }
+        }
+      }
+    ],
+    'should create code actions for fixes w/ edits'
   )
-  connection.sendNotification('workspace/didChangeWatchedFiles', {changes: []})
-  const changeWatchDiagnostics = await changeWatchDiagnosticsPromise
 
   assert.deepEqual(
-    changeWatchDiagnostics,
-    {uri: new URL('a.md', import.meta.url).href, version: 1, diagnostics: []},
-    'should emit diagnostics for registered files on any `workspace/didChangeWatchedFiles`'
+    await connection.sendRequest(CodeActionRequest.type, {
+      textDocument: {uri},
+      range: Range.create(0, 0, 0, 0),
+      context: {
+        diagnostics: [{...diagnostics[0], message: 'Unexpected farewell'}]
+      }
+    }),
+    [],
+    'should leave out fixes of messages that are no longer there'
   )
 })
 
-test('`initialize`, `textDocument/didOpen` (and a broken plugin)', async () => {
-  startLanguageServer('remark-with-error.js')
+test('`workspace/executeCommand`', async () => {
+  startLanguageServer('remark-with-fixes.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+  const fixedUri = new URL('fixed.md', import.meta.url).href
+  const outsideUri = new URL('../../outside.md', import.meta.url).href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  for (const [documentUri, text] of [
+    [uri, 'alpha  bravo\n'],
+    [fixedUri, 'alpha bravo\n'],
+    [outsideUri, 'alpha  bravo\n']
+  ]) {
+    connection.sendNotification(DidOpenTextDocumentNotification.type, {
+      textDocument: {uri: documentUri, languageId: 'markdown', version: 1, text}
+    })
+  }
+
+  const applyEditPromise = createOnRequestPromise(
+    ApplyWorkspaceEditRequest.type
+  )
+  /** @type {unknown} */
+  const result = await connection.sendRequest(ExecuteCommandRequest.type, {
+    command: 'remark.fixAll',
+    arguments: [uri]
+  })
+
+  assert.equal(result, null, 'should not return a result')
+  assert.deepEqual(
+    await applyEditPromise,
+    {
+      label: 'Fix all auto-fixable problems',
+      edit: {
+        changes: {
+          [uri]: [
+            {
+              range: {
+                start: {line: 0, character: 6},
+                end: {line: 0, character: 7}
+              },
+              newText: ''
+            }
+          ]
+        }
+      }
+    },
+    'should apply fixes to the document'
+  )
+
+  let applied = false
+  const disposable = connection.onRequest(
+    ApplyWorkspaceEditRequest.type,
+    () => {
+      applied = true
+      return {applied: true}
+    }
+  )
+
+  /** @type {Array<unknown>} */
+  const results = await Promise.all(
+    [
+      {command: 'remark.fixAll', arguments: [fixedUri]},
+      {command: 'remark.fixAll', arguments: [outsideUri]},
+      {command: 'remark.fixAll', arguments: [1]},
+      {command: 'remark.fixAll'},
+      {command: 'remark.unknown', arguments: [uri]}
+    ].map((parameters) =>
+      connection.sendRequest(ExecuteCommandRequest.type, parameters)
+    )
+  )
+
+  assert.deepEqual(
+    results,
+    [null, null, null, null, null],
+    'should ignore unknown commands and documents'
+  )
+  disposable.dispose()
+  assert.equal(applied, false, 'should not apply edits w/o fixes')
+})
+
+test('`textDocument/willSaveWaitUntil`', async () => {
+  startLanguageServer('remark-with-fixes.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+  const outsideUri = new URL('../../outside.md', import.meta.url).href
 
   await connection.sendRequest(InitializeRequest.type, {
     processId: null,
@@ -723,40 +4260,96 @@ test('`initialize`, `textDocument/didOpen` (and a broken plugin)', async () => {
     workspaceFolders: null
   })
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
+  for (const documentUri of [uri, outsideUri]) {
+    connection.sendNotification(DidOpenTextDocumentNotification.type, {
+      textDocument: {
+        uri: documentUri,
+        languageId: 'markdown',
+        version: 1,
+        text: '+ alpha  bravo'
+      }
+    })
+  }
+
+  /**
+   * @param {Record<string, unknown>} settings
+   * @param {string} [documentUri]
+   */
+  async function save(settings, documentUri = uri) {
+    connection.sendNotification(DidChangeConfigurationNotification.type, {
+      settings
+    })
+
+    return connection.sendRequest(WillSaveTextDocumentWaitUntilRequest.type, {
+      textDocument: {uri: documentUri},
+      reason: TextDocumentSaveReason.Manual
+    })
+  }
+
+  assert.deepEqual(
+    await save({}),
+    [],
+    'should not change documents when saving by default'
+  )
+
+  assert.deepEqual(
+    await save({fixOnSave: true}),
+    [
+      {
+        range: {start: {line: 0, character: 8}, end: {line: 0, character: 9}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 0, character: 14}, end: {line: 0, character: 14}},
+        newText: '\n'
+      }
+    ],
+    'should fix documents w/ `fixOnSave`'
+  )
+
+  assert.deepEqual(
+    await save({formatOnSave: true}),
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 0, character: 14}, end: {line: 0, character: 14}},
+        newText: '\n'
+      }
+    ],
+    'should format documents w/ `formatOnSave`'
   )
-  connection.sendNotification(DidOpenTextDocumentNotification.type, {
-    textDocument: {
-      uri: new URL('lsp.md', import.meta.url).href,
-      languageId: 'markdown',
-      version: 1,
-      text: '# hi'
-    }
-  })
-  const openDiagnostics = await openDiagnosticsPromise
 
   assert.deepEqual(
-    openDiagnostics.diagnostics.map(({message, ...rest}) => ({
-      message: cleanStack(message, 3),
-      ...rest
-    })),
+    await save({fixOnSave: true, formatOnSave: true}),
     [
       {
-        message:
-          'Cannot process file\n' +
-          'Error: Whoops!\n' +
-          '    at oneError (one-error.js:1:1)',
-        range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
-        severity: 1
+        range: {start: {line: 0, character: 0}, end: {line: 0, character: 1}},
+        newText: '*'
+      },
+      {
+        range: {start: {line: 0, character: 8}, end: {line: 0, character: 9}},
+        newText: ''
+      },
+      {
+        range: {start: {line: 0, character: 14}, end: {line: 0, character: 14}},
+        newText: '\n'
       }
     ],
-    'should show stack traces on crashes'
+    'should fix and then format documents w/ `fixOnSave` and `formatOnSave`'
+  )
+
+  assert.deepEqual(
+    await save({fixOnSave: true, formatOnSave: true}, outsideUri),
+    [],
+    'should not change documents outside of workspace'
   )
 })
 
-test('`textDocument/codeAction` (and diagnostics)', async () => {
-  startLanguageServer('code-actions.js')
+test('`textDocument/codeAction` to disable rules', async () => {
+  startLanguageServer('remark-with-warnings.js')
   const uri = new URL('lsp.md', import.meta.url).href
 
   await connection.sendRequest(InitializeRequest.type, {
@@ -766,24 +4359,66 @@ test('`textDocument/codeAction` (and diagnostics)', async () => {
     workspaceFolders: null
   })
 
-  const openDiagnosticsPromise = createOnNotificationPromise(
-    PublishDiagnosticsNotification.type
-  )
   connection.sendNotification(DidOpenTextDocumentNotification.type, {
     textDocument: {
       uri,
       languageId: 'markdown',
       version: 1,
-      text: 'actual content'
+      text: '---\ntitle: Alpha\n---\n\n  * <b>bravo</b> <i>charlie</i>\n'
     }
   })
-  const openDiagnostics = await openDiagnosticsPromise
+
+  await fs.writeFile(testremarkJsonPath, '{}\n')
 
   const codeActions = await connection.sendRequest(CodeActionRequest.type, {
     textDocument: {uri},
-    range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
+    range: {start: {line: 4, character: 0}, end: {line: 4, character: 0}},
     context: {
-      diagnostics: openDiagnostics.diagnostics
+      diagnostics: [
+        {
+          range: {
+            start: {line: 4, character: 4},
+            end: {line: 4, character: 7}
+          },
+          message: 'Unexpected HTML',
+          source: 'remark-lint',
+          code: 'no-html'
+        },
+        {
+          range: {
+            start: {line: 4, character: 16},
+            end: {line: 4, character: 19}
+          },
+          message: 'Unexpected HTML',
+          source: 'remark-lint',
+          code: 'no-html'
+        },
+        {
+          range: {
+            start: {line: 4, character: 0},
+            end: {line: 4, character: 0}
+          },
+          message: 'Unexpected numeric code',
+          source: 'remark-lint',
+          code: 1
+        },
+        {
+          range: {
+            start: {line: 4, character: 0},
+            end: {line: 4, character: 0}
+          },
+          message: 'Unexpected source',
+          source: 'retext-equality',
+          code: 'he-she'
+        },
+        {
+          range: {
+            start: {line: 4, character: 0},
+            end: {line: 4, character: 0}
+          },
+          message: 'Unexpected missing source'
+        }
+      ]
     }
   })
 
@@ -791,70 +4426,33 @@ test('`textDocument/codeAction` (and diagnostics)', async () => {
     codeActions,
     [
       {
-        title: 'Insert `insert me`',
-        edit: {
-          changes: {
-            [uri]: [
-              {
-                range: {
-                  start: {line: 0, character: 0},
-                  end: {line: 0, character: 0}
-                },
-                newText: 'insert me'
-              }
-            ]
-          }
-        },
-        kind: 'quickfix',
-        isPreferred: true
-      },
-      {
-        title: 'Replace `actual` with `replacement`',
-        edit: {
-          changes: {
-            [uri]: [
-              {
-                range: {
-                  start: {line: 0, character: 0},
-                  end: {line: 0, character: 6}
-                },
-                newText: 'replacement'
-              }
-            ]
-          }
-        },
-        kind: 'quickfix',
-        isPreferred: true
-      },
-      {
-        title: 'Remove `actual`',
+        title: 'Disable `no-html` for the next node',
         edit: {
           changes: {
             [uri]: [
               {
                 range: {
-                  start: {line: 0, character: 0},
-                  end: {line: 0, character: 6}
+                  start: {line: 4, character: 0},
+                  end: {line: 4, character: 0}
                 },
-                newText: ''
+                newText: '  <!--lint ignore no-html-->\n'
               }
             ]
           }
         },
-        kind: 'quickfix',
-        isPreferred: true
+        kind: 'quickfix'
       },
       {
-        title: 'Replace `actual` with `alternative a`',
+        title: 'Disable `no-html` for the whole file',
         edit: {
           changes: {
             [uri]: [
               {
                 range: {
-                  start: {line: 0, character: 0},
-                  end: {line: 0, character: 6}
+                  start: {line: 3, character: 0},
+                  end: {line: 3, character: 0}
                 },
-                newText: 'alternative a'
+                newText: '<!--lint disable no-html-->\n\n'
               }
             ]
           }
@@ -862,16 +4460,17 @@ test('`textDocument/codeAction` (and diagnostics)', async () => {
         kind: 'quickfix'
       },
       {
-        title: 'Replace `actual` with `alternative b`',
+        title: 'Disable `no-html` in `testremark.json`',
         edit: {
           changes: {
-            [uri]: [
+            [testremarkJsonPath.href]: [
               {
                 range: {
                   start: {line: 0, character: 0},
-                  end: {line: 0, character: 6}
+                  end: {line: 1, character: 0}
                 },
-                newText: 'alternative b'
+                newText:
+                  '{\n  "plugins": [\n    [\n      "remark-lint-no-html",\n      false\n    ]\n  ]\n}\n'
               }
             ]
           }
@@ -879,21 +4478,332 @@ test('`textDocument/codeAction` (and diagnostics)', async () => {
         kind: 'quickfix'
       }
     ],
-    'should emit quick fixes on a `textDocument/codeAction`'
+    'should emit code actions to disable rules'
   )
 
-  const closedCodeActions = await connection.sendRequest(
+  const unclosedUri = new URL('unclosed.md', import.meta.url).href
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: unclosedUri,
+      languageId: 'markdown',
+      version: 1,
+      text: '---\n<b>alpha</b>\n'
+    }
+  })
+
+  const unclosedCodeActions = await connection.sendRequest(
     CodeActionRequest.type,
     {
-      textDocument: {uri: new URL('closed.md', import.meta.url).href},
+      textDocument: {uri: unclosedUri},
+      range: {start: {line: 1, character: 0}, end: {line: 1, character: 0}},
+      context: {
+        diagnostics: [
+          {
+            range: {
+              start: {line: 1, character: 0},
+              end: {line: 1, character: 3}
+            },
+            message: 'Unexpected HTML',
+            source: 'remark-lint',
+            code: 'no-html'
+          }
+        ]
+      }
+    }
+  )
+
+  assert.deepEqual(
+    unclosedCodeActions?.slice(0, 2).map((codeAction) => {
+      assert('edit' in codeAction)
+      return codeAction.edit?.changes?.[unclosedUri][0].range.start
+    }),
+    [
+      {line: 1, character: 0},
+      {line: 0, character: 0}
+    ],
+    'should disable rules at the start of a file w/o closed frontmatter'
+  )
+
+  const blocksUri = new URL('blocks.md', import.meta.url).href
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: blocksUri,
+      languageId: 'markdown',
+      version: 1,
+      text: [
+        '* alpha',
+        '* <b>bravo</b>',
+        '',
+        'charlie',
+        '<b>delta</b>',
+        '',
+        '> <b>echo</b>',
+        '',
+        '* foxtrot',
+        '',
+        '  <b>golf</b>',
+        '',
+        ''
+      ].join('\n')
+    }
+  })
+
+  const blocksCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
+    {
+      textDocument: {uri: blocksUri},
+      range: {start: {line: 0, character: 0}, end: {line: 11, character: 0}},
+      context: {
+        diagnostics: [
+          [1, 2],
+          [3, 0],
+          [4, 0],
+          [6, 2],
+          [10, 2],
+          [11, 0]
+        ].map(([line, character]) => ({
+          range: {
+            start: {line, character},
+            end: {line, character: character + 3}
+          },
+          message: 'Unexpected HTML',
+          source: 'remark-lint',
+          code: 'no-html'
+        }))
+      }
+    }
+  )
+
+  assert.deepEqual(
+    blocksCodeActions
+      ?.filter((codeAction) => codeAction.title.endsWith('the next node'))
+      .map((codeAction) => {
+        assert('edit' in codeAction)
+        const [edit] = codeAction.edit?.changes?.[blocksUri] || []
+        return [edit.range.start, edit.newText]
+      }),
+    [
+      [{line: 0, character: 0}, '<!--lint ignore no-html-->\n'],
+      [{line: 3, character: 0}, '<!--lint ignore no-html-->\n'],
+      [{line: 6, character: 0}, '<!--lint ignore no-html-->\n'],
+      [{line: 10, character: 0}, '  <!--lint ignore no-html-->\n'],
+      [{line: 11, character: 0}, '<!--lint ignore no-html-->\n']
+    ],
+    'should disable rules before the innermost block that starts a line'
+  )
+})
+
+test('`textDocument/codeAction` to disable rules w/ `messageControl`', async () => {
+  startLanguageServer('remark-with-message-control.js')
+  const uri = new URL('lsp.md', import.meta.url).href
+  const nestedUri = new URL('folder-with-package-json/lsp.md', import.meta.url)
+    .href
+  const packageUri = new URL('../package.json', import.meta.url).href
+  const rcUri = testremarkrcPath.href
+
+  await connection.sendRequest(InitializeRequest.type, {
+    processId: null,
+    rootUri: null,
+    capabilities: {},
+    workspaceFolders: null
+  })
+
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {uri, languageId: 'markdown', version: 1, text: '# alpha\n'}
+  })
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: nestedUri,
+      languageId: 'markdown',
+      version: 1,
+      text: '# alpha\n'
+    }
+  })
+
+  /**
+   * @param {string} uri
+   */
+  function requestCodeActions(uri) {
+    return connection.sendRequest(CodeActionRequest.type, {
+      textDocument: {uri},
       range: {start: {line: 0, character: 0}, end: {line: 0, character: 0}},
-      context: {diagnostics: []}
+      context: {
+        diagnostics: [
+          {
+            range: {
+              start: {line: 0, character: 0},
+              end: {line: 0, character: 7}
+            },
+            message: 'Unexpected heading',
+            source: 'test',
+            code: 'rule'
+          },
+          {
+            range: {
+              start: {line: 0, character: 0},
+              end: {line: 0, character: 7}
+            },
+            message: 'Unexpected default source',
+            source: 'remark-lint',
+            code: 'no-html'
+          }
+        ]
+      }
+    })
+  }
+
+  const codeActions = await requestCodeActions(uri)
+  assert(codeActions)
+
+  assert.deepEqual(
+    codeActions.map((codeAction) => codeAction.title),
+    [
+      'Disable `rule` for the next node',
+      'Disable `rule` for the whole file',
+      'Disable `rule` in `package.json`'
+    ],
+    'should emit code actions w/ `messageControl`'
+  )
+
+  assert.deepEqual(
+    codeActions.slice(0, 2).map((codeAction) => {
+      assert('edit' in codeAction)
+      return codeAction.edit?.changes?.[uri][0].newText
+    }),
+    ['<!-- test ignore rule -->\n', '<!-- test disable rule -->\n\n'],
+    'should use comments from `messageControl`'
+  )
+
+  const packageCodeAction = codeActions[2]
+  assert('edit' in packageCodeAction)
+  const packageEdits = packageCodeAction.edit?.changes?.[packageUri]
+  assert(packageEdits)
+  assert.equal(packageEdits[0].range.start.line, 0)
+  assert.deepEqual(
+    /** @type {{remarkConfig: unknown}} */ (JSON.parse(packageEdits[0].newText))
+      .remarkConfig,
+    {plugins: ['remark-preset-wooorm', ['test-rule', false]]},
+    'should turn plugins off in `package.json`'
+  )
+
+  const nestedCodeActions = await requestCodeActions(nestedUri)
+  assert(nestedCodeActions)
+  assert.deepEqual(
+    nestedCodeActions.map((codeAction) => codeAction.title).slice(2),
+    ['Disable `rule` in `package.json`'],
+    'should skip `package.json` files w/o configuration'
+  )
+
+  await fs.writeFile(testremarkrcPath, '{"settings":{}}')
+  const settingsCodeActions = await requestCodeActions(uri)
+  assert(settingsCodeActions)
+  assert.deepEqual(
+    settingsCodeActions[2],
+    {
+      title: 'Disable `rule` in `.testremarkrc.json`',
+      edit: {
+        changes: {
+          [rcUri]: [
+            {
+              range: {
+                start: {line: 0, character: 0},
+                end: {line: 0, character: 15}
+              },
+              newText:
+                '{\n  "settings": {},\n  "plugins": [\n    [\n      "test-rule",\n      false\n    ]\n  ]\n}\n'
+            }
+          ]
+        }
+      },
+      kind: 'quickfix'
+    },
+    'should add plugins to configuration files'
+  )
+
+  await fs.writeFile(testremarkrcPath, '{\n\t"plugins": {}\n}\n')
+  const objectCodeActions = await requestCodeActions(uri)
+  assert(objectCodeActions)
+  const objectCodeAction = objectCodeActions[2]
+  assert('edit' in objectCodeAction)
+  assert.deepEqual(
+    objectCodeAction.edit?.changes?.[rcUri],
+    [
+      {
+        range: {start: {line: 0, character: 0}, end: {line: 3, character: 0}},
+        newText: '{\n\t"plugins": {\n\t\t"test-rule": false\n\t}\n}\n'
+      }
+    ],
+    'should turn plugins off in objects, w/ the indent of the file'
+  )
+
+  await fs.writeFile(testremarkrcPath, '{')
+  const invalidCodeActions = await requestCodeActions(uri)
+  assert(invalidCodeActions)
+  assert.equal(
+    invalidCodeActions.length,
+    2,
+    'should not change invalid configuration files'
+  )
+
+  await fs.writeFile(testremarkrcPath, 'null\n')
+  const nullCodeActions = await requestCodeActions(uri)
+  assert(nullCodeActions)
+  assert.equal(
+    nullCodeActions.length,
+    2,
+    'should not change configuration that is not an object'
+  )
+
+  const brokenUri = new URL('lsp.md', brokenPackagePath).href
+  await fs.mkdir(brokenPackagePath)
+  await fs.writeFile(new URL('package.json', brokenPackagePath), '{"name": ')
+  connection.sendNotification(DidOpenTextDocumentNotification.type, {
+    textDocument: {
+      uri: brokenUri,
+      languageId: 'markdown',
+      version: 1,
+      text: '# alpha\n'
+    }
+  })
+  const brokenCodeActions = await connection.sendRequest(
+    CodeActionRequest.type,
+    {
+      textDocument: {uri: brokenUri},
+      range: Range.create(0, 0, 0, 0),
+      context: {
+        diagnostics: [
+          {
+            range: Range.create(0, 2, 0, 7),
+            message: 'Unexpected heading',
+            source: 'test',
+            code: 'rule',
+            data: {expected: ['bravo']}
+          }
+        ]
+      }
     }
   )
+  assert(brokenCodeActions)
+  assert.deepEqual(
+    brokenCodeActions.map((codeAction) => codeAction.title),
+    [
+      'Replace `alpha` with `bravo`',
+      'Disable `rule` for the next node',
+      'Disable `rule` for the whole file'
+    ],
+    'should not change broken `package.json` files'
+  )
+
+  await fs.rm(testremarkrcPath)
+  await fs.writeFile(testremarkrcYamlPath, 'plugins: []\n')
+  const yamlCodeActions = await requestCodeActions(uri)
+  assert(yamlCodeActions)
   assert.equal(
-    closedCodeActions,
-    null,
-    'should not emit quick fixes for unsynchronized documents'
+    yamlCodeActions.length,
+    2,
+    'should not change configuration files that aren’t JSON'
   )
 })
 
@@ -1163,6 +5073,29 @@ async function createOnNotificationPromise(type) {
   })
 }
 
+/**
+ * Wait for several events of a type to be emitted.
+ *
+ * @template ReturnType
+ * @param {import('vscode-languageserver').NotificationType<ReturnType>} type
+ * @param {number} count
+ * @returns {Promise<Array<ReturnType>>}
+ */
+async function createOnNotificationsPromise(type, count) {
+  return new Promise((resolve) => {
+    /** @type {Array<ReturnType>} */
+    const results = []
+    const disposable = connection.onNotification(type, (result) => {
+      results.push(result)
+
+      if (results.length === count) {
+        disposable.dispose()
+        setTimeout(() => resolve(results), 0)
+      }
+    })
+  })
+}
+
 /**
  * Wait for a request to be sent from the server to the client.
  *
@@ -1178,3 +5111,22 @@ async function createOnRequestPromise(type) {
     })
   })
 }
+
+/**
+ * Create a package in `folder-with-package-json/node_modules/`.
+ *
+ * It will be cleaned up automatically.
+ *
+ * @param {string} name
+ * @returns {Promise<URL>}
+ */
+async function createTestPackage(name) {
+  const packagePath = new URL(name + '/', testNodeModulesPath)
+  await fs.mkdir(packagePath, {recursive: true})
+  await fs.writeFile(
+    new URL('package.json', packagePath),
+    JSON.stringify({name, type: 'module', main: 'index.js'}) + '\n'
+  )
+  await fs.writeFile(new URL('index.js', packagePath), 'export {}\n')
+  return packagePath
+}
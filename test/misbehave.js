@@ -0,0 +1,33 @@
+import process from 'node:process'
+
+/** @type {import('unified').Plugin<[], import('mdast').Root>} */
+export default function misbehave() {
+  return async (_, file) => {
+    const value = String(file)
+
+    if (value === 'hang') {
+      await new Promise(() => {})
+    }
+
+    if (value === 'loop') {
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        // Empty.
+      }
+    }
+
+    if (value === 'exit') {
+      // eslint-disable-next-line unicorn/no-process-exit
+      process.exit(1)
+    }
+
+    if (value === 'throw') {
+      setImmediate(() => {
+        throw new Error('Whoops!')
+      })
+      await new Promise(() => {})
+    }
+
+    file.message('fine')
+  }
+}
@@ -0,0 +1,9 @@
+import {remark} from 'remark'
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'xxx-missing-yyy',
+  processorName: 'xxx-missing-yyy',
+  defaultProcessor: remark,
+  workers: 1
+})
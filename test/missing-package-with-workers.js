@@ -0,0 +1,7 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'xxx-missing-yyy',
+  processorName: 'xxx-missing-yyy',
+  workers: 1
+})
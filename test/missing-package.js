@@ -2,5 +2,7 @@ import {createUnifiedLanguageServer} from 'unified-language-server'
 
 createUnifiedLanguageServer({
   configurationSection: 'xxx-missing-yyy',
-  processorName: 'xxx-missing-yyy'
+  ignoreName: '.xxx-missing-yyyignore',
+  processorName: 'xxx-missing-yyy',
+  rcName: '.xxx-missing-yyyrc'
 })
@@ -0,0 +1,7 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'rehype',
+  processorName: 'rehype',
+  processorSpecifier: 'rehype'
+})
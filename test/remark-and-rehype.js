@@ -0,0 +1,31 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'unified',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  rcName: 'testremark',
+  plugins: [report('remark')],
+  processors: [
+    {
+      extensions: ['htm', '.html'],
+      languageIds: ['html'],
+      processorName: 'rehype',
+      processorSpecifier: 'rehype',
+      rcName: 'testrehype',
+      plugins: [report('rehype')]
+    }
+  ]
+})
+
+/**
+ * @param {string} name
+ * @returns {import('unified').Plugin<[]>}
+ */
+function report(name) {
+  return function () {
+    return (_, file) => {
+      file.message(name)
+    }
+  }
+}
@@ -0,0 +1,18 @@
+import {setTimeout} from 'node:timers/promises'
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  debounce: 10,
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [delay]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function delay() {
+  return async (_, file) => {
+    await setTimeout(500)
+    file.message(String(file))
+  }
+}
@@ -0,0 +1,88 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  embeddedLanguage(node) {
+    return node.type === 'code'
+      ? /** @type {import('mdast').Code} */ (node).lang
+      : undefined
+  },
+  languageIds: ['markdown'],
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [report('remark'), generateCode],
+  processors: [
+    {
+      languageIds: ['html'],
+      processorName: 'rehype',
+      processorSpecifier: 'rehype',
+      plugins: [report('rehype')]
+    }
+  ],
+  rcName: 'testremark'
+})
+
+/**
+ * @param {string} name
+ * @returns {import('unified').Plugin<[], import('unist').Node>}
+ */
+function report(name) {
+  return function () {
+    return (tree, file) => {
+      const text = findText(tree)
+      const message = file.message(name, text)
+
+      if (text && text.position) {
+        Object.assign(message, {
+          fixes: [
+            {
+              title: 'Fix ' + name,
+              edits: [
+                {place: text.position, value: 'fixed'},
+                {file: 'test/other.md', place: {line: 1, column: 1}, value: ''}
+              ]
+            }
+          ],
+          related: [
+            {place: text.position, reason: 'Text here'},
+            {
+              file: 'test/other.md',
+              place: {line: 1, column: 1},
+              reason: 'Other'
+            }
+          ]
+        })
+      }
+
+      file.message(name + ' at point', text && text.position?.start)
+      file.message(name + ' w/o place')
+    }
+  }
+}
+
+/** @type {import('unified').Plugin<[]>} */
+function generateCode() {
+  return (tree) => {
+    const root = /** @type {import('mdast').Root} */ (tree)
+    root.children.push({type: 'code', lang: 'html', value: '<p>x</p>'})
+  }
+}
+
+/**
+ * @param {import('unist').Node} node
+ * @returns {import('unist').Node | undefined}
+ */
+function findText(node) {
+  if (node.type === 'text') {
+    return node
+  }
+
+  if ('children' in node && Array.isArray(node.children)) {
+    const children = /** @type {Array<import('unist').Node>} */ (node.children)
+
+    for (const child of children) {
+      const result = findText(child)
+      if (result) return result
+    }
+  }
+}
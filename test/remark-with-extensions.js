@@ -0,0 +1,16 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  extensions: ['md'],
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [warn]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function warn() {
+  return (_, file) => {
+    file.message(file.stem || '')
+  }
+}
@@ -0,0 +1,34 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [fixEdits]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function fixEdits() {
+  return (tree, file) => {
+    Object.assign(file.message('Unexpected greeting', tree.position), {
+      fixes: [
+        {
+          title: 'Turn into reference',
+          edits: [
+            {
+              place: {start: {line: 1, column: 1}, end: {line: 1, column: 6}},
+              value: '[Hello][a]'
+            },
+            {place: {line: 2, column: 1}, value: '\n[a]: https://example.com\n'}
+          ]
+        },
+        {
+          title: 'Greet in other file',
+          edits: [
+            {file: 'test/other.md', place: {line: 1, column: 1}, value: 'Hi\n'}
+          ]
+        }
+      ]
+    })
+  }
+}
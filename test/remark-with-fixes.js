@@ -0,0 +1,46 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [fixes]
+})
+
+/**
+ * Report fixable problems in documents of one line.
+ *
+ * @type {import('unified').Plugin<[]>}
+ */
+function fixes() {
+  return (_, file) => {
+    const value = String(file)
+    let index = value.indexOf('  ')
+
+    // Overlapping fixes, fixed in several passes.
+    while (index !== -1) {
+      file.message('Unexpected double space', {
+        start: {line: 1, column: index + 1},
+        end: {line: 1, column: index + 3}
+      }).expected = [' ']
+      index = value.indexOf('  ', index + 1)
+    }
+
+    // Insertions at the same place, fixed once.
+    if (!value.endsWith('\n')) {
+      const end = {line: 1, column: value.length + 1}
+      file.message('Missing final newline', end).expected = ['\n']
+      file.message('Missing final newline', end).expected = ['\n']
+    }
+
+    // Ambiguous fixes, not fixed.
+    index = value.indexOf('teh')
+
+    if (index !== -1) {
+      file.message('Unexpected typo', {
+        start: {line: 1, column: index + 1},
+        end: {line: 1, column: index + 4}
+      }).expected = ['tea', 'the']
+    }
+  }
+}
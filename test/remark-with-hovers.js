@@ -0,0 +1,33 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [hovers]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function hovers() {
+  return (node, file) => {
+    const tree = /** @type {import('mdast').Root} */ (node)
+    /** @type {Array<import('unified-language-server').HoverData>} */
+    const hovers = []
+
+    for (const child of tree.children) {
+      if (child.type === 'heading') {
+        hovers.push({
+          position: child.position,
+          contents: 'Heading of depth ' + child.depth
+        })
+      }
+    }
+
+    hovers.push(
+      {position: undefined, contents: 'Generated'},
+      {position: tree.position, contents: '*Document*'}
+    )
+
+    file.data.hovers = hovers
+  }
+}
@@ -0,0 +1,8 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: ['remark-lint-no-html']
+})
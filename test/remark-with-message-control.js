@@ -0,0 +1,19 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  messageControl: {
+    test: {
+      comment(verb, ruleId) {
+        return '<!-- test ' + verb + ' ' + ruleId + ' -->'
+      },
+      plugin(ruleId) {
+        return 'test-' + ruleId
+      }
+    }
+  },
+  packageField: 'remarkConfig',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  rcName: '.testremarkrc'
+})
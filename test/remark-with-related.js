@@ -0,0 +1,32 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [related]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function related() {
+  return (tree, file) => {
+    const [first, second] = /** @type {import('mdast').Root} */ (tree).children
+
+    Object.assign(file.message('Unexpected duplicate definition', second), {
+      related: [
+        {place: first.position, reason: 'First definition here'},
+        {
+          file: 'test/other.md',
+          place: {line: 2, column: 3},
+          reason: 'Also defined here'
+        }
+      ]
+    })
+    Object.assign(file.message('Unexpected deprecated syntax', first), {
+      deprecated: true
+    })
+    Object.assign(file.message('Unexpected unused definition', second), {
+      unnecessary: true
+    })
+  }
+}
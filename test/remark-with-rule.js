@@ -0,0 +1,19 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [rule]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function rule() {
+  return (tree, file) => {
+    file.message('Unexpected document', {
+      place: tree.position,
+      ruleId: 'rule',
+      source: 'unified-language-server-test'
+    })
+  }
+}
@@ -0,0 +1,42 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [rules]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function rules() {
+  return (_, file) => {
+    file.message('Unexpected HTML', {
+      ruleId: 'no-html',
+      source: 'remark-lint'
+    })
+    file.message('Unexpected empty', {
+      ruleId: 'no-empty',
+      source: 'remark-lint'
+    })
+    file.message('Unexpected reference', {
+      ruleId: 'no-undefined-references',
+      source: 'remark-lint'
+    })
+    file.message('Unexpected spelling', {
+      ruleId: 'spelling',
+      source: 'retext-spell'
+    })
+    file.message('Unexpected thing')
+
+    const value = String(file)
+
+    if (!value.endsWith('\n')) {
+      const end = {line: 1, column: value.length + 1}
+      file.message('Missing final newline', {
+        place: end,
+        ruleId: 'final-newline',
+        source: 'remark-lint'
+      }).expected = ['\n']
+    }
+  }
+}
@@ -0,0 +1,18 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+let runs = 0
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  debounce: 100,
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [count]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function count() {
+  return (_, file) => {
+    file.message(String(file) + ' ' + ++runs)
+  }
+}
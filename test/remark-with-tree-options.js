@@ -0,0 +1,42 @@
+import assert from 'node:assert'
+import {createUnifiedLanguageServer} from 'unified-language-server'
+import {SymbolKind} from 'vscode-languageserver/node.js'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  documentSymbols: {
+    heading: SymbolKind.Namespace,
+    list: SymbolKind.Array,
+    listItem: SymbolKind.Field
+  },
+  foldingRanges: ['heading'],
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [generateNodes]
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function generateNodes() {
+  const parser = this.parser
+  assert(parser, 'expected parser')
+
+  /**
+   * @param {string} document
+   * @param {import('vfile').VFile} file
+   */
+  this.parser = function (document, file) {
+    const tree = /** @type {import('mdast').Root} */ (parser(document, file))
+    // Headings with `generated` in them are not in the document.
+    for (const node of tree.children) {
+      if (
+        node.type === 'heading' &&
+        node.children[0].type === 'text' &&
+        node.children[0].value === 'generated'
+      ) {
+        delete node.position
+      }
+    }
+
+    return tree
+  }
+}
@@ -0,0 +1,12 @@
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  debounce: 0,
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  // This is resolved from the directory containing package.json
+  plugins: ['./test/misbehave.js'],
+  timeout: 1000,
+  workers: 1
+})
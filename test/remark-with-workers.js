@@ -0,0 +1,22 @@
+import {isMainThread} from 'node:worker_threads'
+import {createUnifiedLanguageServer} from 'unified-language-server'
+
+createUnifiedLanguageServer({
+  configurationSection: 'remark',
+  extensions: ['md'],
+  processorName: 'remark',
+  processorSpecifier: 'remark',
+  plugins: [warn],
+  workers: 2
+})
+
+/** @type {import('unified').Plugin<[]>} */
+function warn() {
+  return (_, file) => {
+    file.message(isMainThread ? 'main thread' : 'worker thread')
+
+    if (String(file).includes('uncloneable')) {
+      file.data.uncloneable = warn
+    }
+  }
+}
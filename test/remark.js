@@ -2,6 +2,7 @@ import {createUnifiedLanguageServer} from 'unified-language-server'
 
 createUnifiedLanguageServer({
   configurationSection: 'remark',
+  languageIds: ['markdown'],
   processorName: 'remark',
   processorSpecifier: 'remark'
 })